@@ -0,0 +1,180 @@
+// Player accounts: registration, password checks and login sessions, plus the profile stats
+// and Elo rating kept for each account. Everything lives in one JSON file, rewritten on change.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const INITIAL_RATING = 1500;
+// Most a rating can move in one game
+const K_FACTOR = 32;
+// Logins last this long
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 128;
+
+// Accounts by id and login sessions by token, read from `file` (empty if there is none yet)
+function loadAccounts(file, now = Date.now()) {
+  const store = { file, accounts: {}, sessions: {} };
+  if (!fs.existsSync(file)) return store;
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  store.accounts = data.accounts || {};
+  Object.keys(data.sessions || {}).forEach((token) => {
+    if (data.sessions[token].expires > now) store.sessions[token] = data.sessions[token];
+  });
+  return store;
+}
+
+// Write the store back to its file, via a temporary file so a crash never leaves half of it
+function saveAccounts(store) {
+  fs.mkdirSync(path.dirname(store.file), { recursive: true });
+  fs.writeFileSync(`${store.file}.tmp`, JSON.stringify({ accounts: store.accounts, sessions: store.sessions }));
+  fs.renameSync(`${store.file}.tmp`, store.file);
+}
+
+// Resolves to the password's hash. scrypt is slow on purpose, so it runs off the main thread
+// where it cannot hold up the games.
+function hashPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key.toString('hex'))));
+  });
+}
+
+// Usernames are unique regardless of case
+function findByUsername(store, username) {
+  const wanted = String(username).toLowerCase();
+  return Object.values(store.accounts).find((a) => a.username.toLowerCase() === wanted) || null;
+}
+
+// Create an account. Resolves to { account } or { error } with a message for the player.
+function register(store, username, password, now = Date.now()) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return Promise.resolve({ error: 'Usernames are 3 to 20 letters, digits, - or _' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return Promise.resolve({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return Promise.resolve({ error: `Passwords can be at most ${MAX_PASSWORD_LENGTH} characters` });
+  }
+  if (findByUsername(store, username)) {
+    return Promise.resolve({ error: 'That username is taken' });
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  return hashPassword(password, salt).then((passwordHash) => createAccount(store, username, salt, passwordHash, now));
+}
+
+function createAccount(store, username, salt, passwordHash, now) {
+  // Someone may have taken the name while the password was hashed
+  if (findByUsername(store, username)) {
+    return { error: 'That username is taken' };
+  }
+  const account = {
+    id: crypto.randomBytes(8).toString('hex'),
+    username,
+    salt,
+    passwordHash,
+    createdAt: now,
+    rating: INITIAL_RATING,
+    gamesPlayed: 0,
+    wins: 0,
+    // Sum of finishing places, for the average
+    totalPlace: 0,
+    captures: 0,
+  };
+  store.accounts[account.id] = account;
+  return { account };
+}
+
+// Resolves to the account for a username and password, or to null if they don't match
+function checkPassword(store, username, password) {
+  const account = findByUsername(store, username);
+  if (!account || typeof password !== 'string') return Promise.resolve(null);
+  return hashPassword(password, account.salt).then((hash) => {
+    const expected = Buffer.from(account.passwordHash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    return crypto.timingSafeEqual(expected, actual) ? account : null;
+  });
+}
+
+// Log an account in and return the session token that identifies it from now on
+function createSession(store, account, now = Date.now()) {
+  const token = crypto.randomBytes(24).toString('hex');
+  store.sessions[token] = { accountId: account.id, expires: now + SESSION_TTL_MS };
+  return token;
+}
+
+// The account a session token belongs to, or null if it is unknown or has expired
+function sessionAccount(store, token, now = Date.now()) {
+  const session = token && Object.prototype.hasOwnProperty.call(store.sessions, token) ? store.sessions[token] : null;
+  if (!session || session.expires <= now) return null;
+  return store.accounts[session.accountId] || null;
+}
+
+function endSession(store, token) {
+  delete store.sessions[token];
+}
+
+// What anyone may see of an account
+function publicProfile(account) {
+  return {
+    username: account.username,
+    rating: account.rating,
+    gamesPlayed: account.gamesPlayed,
+    wins: account.wins,
+    averagePlace: account.gamesPlayed ? account.totalPlace / account.gamesPlayed : null,
+    captures: account.captures,
+    createdAt: account.createdAt,
+  };
+}
+
+// Rating change for each player, given their ratings and where they ranked (1 is best; equal
+// ranks are a draw). Every pair of players is scored as a head-to-head game, and the K factor is
+// shared out over the opponents so a game moves a rating as much whatever the table size.
+function eloChanges(ratings, ranks) {
+  return ratings.map((rating, i) => {
+    if (ratings.length < 2) return 0;
+    let total = 0;
+    ratings.forEach((other, j) => {
+      if (i === j) return;
+      const expected = 1 / (1 + Math.pow(10, (other - rating) / 400));
+      const score = ranks[i] < ranks[j] ? 1 : ranks[i] === ranks[j] ? 0.5 : 0;
+      total += score - expected;
+    });
+    return Math.round((K_FACTOR / (ratings.length - 1)) * total);
+  });
+}
+
+// Add a finished game to the profiles of the accounts that played it.
+// `entries` are { accountId, place, rank, won, captures }, where rank is what the rating goes by:
+// the place, or in team games 1 for the winners and 2 for the rest. Ratings only move when at
+// least two accounts played each other. Returns the rating change for each entry.
+function recordGame(store, entries) {
+  const accounts = entries.map((e) => store.accounts[e.accountId]);
+  const changes = eloChanges(accounts.map((a) => a.rating), entries.map((e) => e.rank));
+  entries.forEach((entry, i) => {
+    const account = accounts[i];
+    account.rating += changes[i];
+    account.gamesPlayed += 1;
+    account.wins += entry.won ? 1 : 0;
+    account.totalPlace += entry.place;
+    account.captures += entry.captures;
+  });
+  return changes;
+}
+
+module.exports = {
+  INITIAL_RATING,
+  SESSION_TTL_MS,
+  loadAccounts,
+  saveAccounts,
+  findByUsername,
+  register,
+  checkPassword,
+  createSession,
+  sessionAccount,
+  endSession,
+  publicProfile,
+  eloChanges,
+  recordGame,
+};
@@ -0,0 +1,64 @@
+// Counters and gauges for GET /metrics, kept in memory and written out in the Prometheus text
+// exposition format. A metric holds one value per combination of label values.
+
+// A registry of metrics by name. `definitions` gives each one's type ('counter' or 'gauge'), help
+// text and, if it has any, the names of its labels. Metrics without labels start at 0.
+function createMetrics(definitions) {
+  const metrics = {};
+  Object.keys(definitions).forEach((name) => {
+    const definition = definitions[name];
+    metrics[name] = { type: definition.type, help: definition.help, series: new Map() };
+    if (!definition.labels) metrics[name].series.set('', 0);
+  });
+  return metrics;
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// `{a="1",b="2"}` for the given labels, in name order so the same labels always match
+function labelText(labels) {
+  const names = Object.keys(labels).sort();
+  if (names.length === 0) return '';
+  return `{${names.map((n) => `${n}="${escapeLabelValue(labels[n])}"`).join(',')}}`;
+}
+
+// Add `by` to a metric's value for the given labels
+function increment(metrics, name, labels = {}, by = 1) {
+  const series = metrics[name].series;
+  const key = labelText(labels);
+  series.set(key, (series.get(key) || 0) + by);
+}
+
+// Set a gauge's value for the given labels
+function set(metrics, name, labels, value) {
+  metrics[name].series.set(labelText(labels), value);
+}
+
+// Forget every value of a metric, so a gauge can be counted again from scratch
+function clear(metrics, name) {
+  metrics[name].series.clear();
+}
+
+// Every metric in Prometheus text format
+function render(metrics) {
+  const lines = [];
+  Object.keys(metrics).forEach((name) => {
+    const metric = metrics[name];
+    lines.push(`# HELP ${name} ${metric.help}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+    metric.series.forEach((value, labels) => {
+      lines.push(`${name}${labels} ${value}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  createMetrics,
+  increment,
+  set,
+  clear,
+  render,
+};
@@ -0,0 +1,163 @@
+// Board rendering shared by the game page and the replay viewer: the grid for the room's
+// board (classic or six-player) and the absolutely positioned tokens on top of it.
+// Geometry comes from shared/board.js.
+(function (root) {
+  const { BOARDS, BASE, computeGlobalIndex, isSafeSquare } = root.LudoRules;
+  const { LAYOUTS, cellFor } = root.LudoBoard;
+
+  // Pixel size of a grid cell, matching the .cell style, and the inset that centres a token in it
+  const CELL_SIZE = 32;
+  const TOKEN_INSET = 2;
+  // Pause between cells when a move is animated, matching the .token transition
+  const STEP_MS = 150;
+
+  // Draw the board grid (the classic board unless another layout is given)
+  function drawBoard(boardEl, layout = LAYOUTS.classic) {
+    boardEl.innerHTML = '';
+    boardEl.style.gridTemplateColumns = `repeat(${layout.cols}, ${CELL_SIZE}px)`;
+    boardEl.style.gridTemplateRows = `repeat(${layout.rows}, ${CELL_SIZE}px)`;
+    boardEl.style.width = `${layout.cols * CELL_SIZE}px`;
+    boardEl.style.height = `${layout.rows * CELL_SIZE}px`;
+    const cells = [];
+    for (let r = 0; r < layout.rows; r++) {
+      for (let c = 0; c < layout.cols; c++) {
+        const cell = document.createElement('div');
+        cell.classList.add('cell');
+        cell.dataset.row = r;
+        cell.dataset.col = c;
+        // The grid is decoration; tokens carry their own position labels
+        cell.setAttribute('aria-hidden', 'true');
+        boardEl.appendChild(cell);
+        cells.push(cell);
+      }
+    }
+    const cellAt = ([r, c]) => cells[r * layout.cols + c];
+    layout.track.forEach((rc) => {
+      cellAt(rc).classList.add('main-track');
+    });
+    BOARDS[layout.id].safeIndices.forEach((gi) => {
+      cellAt(layout.track[gi]).classList.add('safe');
+    });
+    Object.keys(layout.finals).forEach(color => {
+      layout.finals[color].forEach((rc) => {
+        cellAt(rc).classList.add(`final-${color}`);
+      });
+    });
+    Object.keys(layout.homes).forEach(color => {
+      layout.homes[color].forEach((rc) => {
+        cellAt(rc).classList.add(`home-${color}`);
+      });
+    });
+  }
+
+  function tokenColor(color) {
+    switch(color) {
+      case 'red': return '#e53935';
+      case 'green': return '#43a047';
+      case 'yellow': return '#fbc02d';
+      case 'blue': return '#1e88e5';
+      case 'purple': return '#8e24aa';
+      case 'orange': return '#fb8c00';
+      default: return '#ccc';
+    }
+  }
+
+  // What a screen reader says about a token, e.g. "Red token 2, 5 squares from home, on a safe square"
+  function tokenLabel(color, tokenIndex, pos, layout = LAYOUTS.classic) {
+    const board = BOARDS[layout.id];
+    const name = `${color[0].toUpperCase()}${color.slice(1)} token ${tokenIndex + 1}`;
+    if (pos === BASE) return `${name}, in base`;
+    if (pos >= board.finish) return `${name}, home`;
+    const left = board.finish - pos;
+    const distance = `${left} ${left === 1 ? 'square' : 'squares'} from home`;
+    if (pos >= board.trackLength) return `${name}, ${distance}, in the home column`;
+    if (isSafeSquare(computeGlobalIndex(color, pos, board), board)) return `${name}, ${distance}, on a safe square`;
+    return `${name}, ${distance}`;
+  }
+
+  // Add `count` token elements for a player to the board and return them
+  function createTokens(boardEl, player, count) {
+    const tokens = [];
+    for (let i = 0; i < count; i++) {
+      const token = document.createElement('div');
+      token.classList.add('token', player.color);
+      token.dataset.playerId = player.id;
+      token.dataset.tokenIndex = i;
+      token.setAttribute('role', 'img');
+      token.style.zIndex = 10;
+      boardEl.appendChild(token);
+      tokens.push(token);
+    }
+    return tokens;
+  }
+
+  // Move a player's token elements onto the cells for their positions and label them to match
+  function placeTokens(tokens, color, positions, layout = LAYOUTS.classic) {
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const [row, col] = cellFor(color, i, positions[i], layout);
+      const top = row * CELL_SIZE + TOKEN_INSET;
+      const left = col * CELL_SIZE + TOKEN_INSET;
+      token.style.top = `${top}px`;
+      token.style.left = `${left}px`;
+      token.setAttribute('aria-label', tokenLabel(color, i, positions[i], layout));
+      // Offset tokens if multiple share same cell
+      const tokensAtSame = tokens.filter((t, idx) => {
+        const [r2,c2] = cellFor(color, idx, positions[idx], layout);
+        return r2 === row && c2 === col;
+      });
+      const indexInStack = tokensAtSame.indexOf(token);
+      if (tokensAtSame.length > 1) {
+        const spacing = 4;
+        const rowOffset = Math.floor(indexInStack / 2);
+        const colOffset = indexInStack % 2;
+        token.style.top = `${top + rowOffset * spacing}px`;
+        token.style.left = `${left + colOffset * spacing}px`;
+      }
+    }
+  }
+
+  // Walk one token cell by cell along `path` (the positions it passes through, ending where it
+  // lands), the player's other tokens staying at `positions`, then call `done`.
+  // Returns a function that stops the walk where it is.
+  function animatePath(tokens, color, positions, tokenIndex, path, layout, done) {
+    let step = 0;
+    let timer = null;
+    function next() {
+      const shown = positions.slice();
+      shown[tokenIndex] = path[step];
+      placeTokens(tokens, color, shown, layout);
+      step += 1;
+      timer = setTimeout(step < path.length ? next : done, STEP_MS);
+    }
+    next();
+    return () => clearTimeout(timer);
+  }
+
+  // Outline of a token on the cell a move would take it to, or no outline when `pos` is null
+  function placeGhost(boardEl, color, pos, layout = LAYOUTS.classic) {
+    let ghost = boardEl.querySelector('.token-ghost');
+    if (!ghost) {
+      ghost = document.createElement('div');
+      ghost.setAttribute('aria-hidden', 'true');
+      boardEl.appendChild(ghost);
+    }
+    ghost.className = `token token-ghost ${color || ''}`;
+    ghost.style.display = pos === null ? 'none' : '';
+    if (pos === null) return;
+    const [row, col] = cellFor(color, 0, pos, layout);
+    ghost.style.top = `${row * CELL_SIZE + TOKEN_INSET}px`;
+    ghost.style.left = `${col * CELL_SIZE + TOKEN_INSET}px`;
+  }
+
+  root.LudoBoardView = {
+    CELL_SIZE,
+    drawBoard,
+    tokenColor,
+    tokenLabel,
+    createTokens,
+    placeTokens,
+    animatePath,
+    placeGhost,
+  };
+})(typeof self !== 'undefined' ? self : this);
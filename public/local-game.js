@@ -0,0 +1,310 @@
+// Pass-and-play on one device: a stand-in for the game server's WebSocket that runs the room in
+// the browser with the shared rules engine, bots and dice. The game page sends it the same
+// protocol messages it sends over /ws and handles its replies with the same code, so local and
+// online games share every rendering and token code path.
+(function (root) {
+  const { LudoRules: Rules, LudoBots: Bots, LudoDice: Dice, LudoProtocol: Protocol } = root;
+
+  // Pause before each bot action so the people at the table can follow what happened
+  const BOT_DELAY_MS = 900;
+
+  function randomHex(byteCount) {
+    const bytes = crypto.getRandomValues(new Uint8Array(byteCount));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function capitalize(text) {
+    return text[0].toUpperCase() + text.slice(1);
+  }
+
+  // Fresh dice for the next game, derived from seeds the same way the server's are
+  function createDice() {
+    const serverSeed = randomHex(32);
+    return { serverSeed, commitment: Dice.commitment(serverSeed), clientSeeds: null, rolls: 0 };
+  }
+
+  // Start a local room. `seats` lists who plays each color: { color, bot } where bot is null for
+  // a person at the table or a bot difficulty. Returns an object that behaves like the socket.
+  function createLocalGame(seats) {
+    const socket = { readyState: 1, onmessage: null, send, close };
+    const room = {
+      players: seats.map(seat => ({
+        id: `local-${seat.color}`,
+        name: seat.bot ? `${capitalize(seat.color)} bot (${seat.bot === 'heuristic' ? 'smart' : 'easy'})` : capitalize(seat.color),
+        color: seat.color,
+        ready: true,
+        connected: true,
+        bot: seat.bot,
+        inactive: false
+      })),
+      rules: Rules.normalizeRules(),
+      game: null,
+      results: null,
+      dice: createDice(),
+      botTimer: null,
+      // Number of the last room message sent (see SEQ in shared/protocol.js)
+      seq: 0
+    };
+
+    // Replies arrive asynchronously and in order, as they would from the server
+    function emit(data) {
+      setTimeout(() => {
+        if (socket.readyState === 1 && socket.onmessage) socket.onmessage({ data: JSON.stringify(data) });
+      }, 0);
+    }
+
+    // Room messages are numbered like the server's
+    function broadcast(data) {
+      room.seq += 1;
+      emit(Object.assign({}, data, { seq: room.seq }));
+    }
+
+    function emitError(code, requestType, message) {
+      emit(Protocol.errorMessage(code, requestType, message));
+    }
+
+    function publicDice() {
+      return {
+        commitment: room.dice.commitment,
+        clientSeeds: room.dice.clientSeeds,
+        serverSeed: room.results ? room.dice.serverSeed : null
+      };
+    }
+
+    function playerList() {
+      return { type: 'player_list', players: room.players, spectators: 0, hostId: null, locked: false, hasPassword: false, undoAllowed: false };
+    }
+
+    function positionsOf(playerId) {
+      const gamePlayer = room.game && room.game.players.find(p => p.id === playerId);
+      return gamePlayer ? gamePlayer.positions : new Array(room.rules.tokensPerPlayer).fill(Rules.BASE);
+    }
+
+    function turnPlayer() {
+      const current = room.game && !room.results && Rules.currentPlayer(room.game);
+      return current ? room.players.find(p => p.id === current.id) : null;
+    }
+
+    function turnPlayerId() {
+      const player = turnPlayer();
+      return player ? player.id : null;
+    }
+
+    function announceTurn() {
+      broadcast({ type: 'turn', playerId: turnPlayerId(), deadline: null, timeLeft: null });
+      scheduleBotTurn();
+    }
+
+    function start() {
+      if (room.rules.teams && room.players.length < Rules.COLORS.length) {
+        emitError('TEAMS_INCOMPLETE', 'start');
+        return;
+      }
+      room.game = Rules.createGame(room.players, room.rules);
+      room.dice.clientSeeds = room.players.map(p => ({ playerId: p.id, seed: randomHex(16) }));
+      broadcast({
+        type: 'game_started',
+        rules: room.rules,
+        turnPlayerId: turnPlayerId(),
+        deadline: null,
+        timeLeft: null,
+        dice: publicDice(),
+        state: room.game.players.map(p => ({ id: p.id, positions: p.positions }))
+      });
+      scheduleBotTurn();
+    }
+
+    function roll(player) {
+      const tokensOf = Rules.movingPlayer(room.game).id;
+      const counter = room.dice.rolls;
+      const clientSeeds = room.dice.clientSeeds.map(s => s.seed);
+      const result = Rules.roll(room.game, () => Dice.rollFor(room.dice.serverSeed, clientSeeds, counter));
+      room.dice.rolls += 1;
+      room.game = result.state;
+      const previews = Rules.legalMoves(room.game).map(tokenIndex => Rules.previewMove(room.game, tokenIndex));
+      broadcast({ type: 'roll_result', playerId: player.id, tokensOf, counter, roll: result.roll, moves: result.moves, previews });
+      if (result.passed) announceTurn();
+    }
+
+    function move(player, tokenIndex) {
+      if (!Rules.legalMoves(room.game).includes(tokenIndex)) {
+        emitError('ILLEGAL_MOVE', 'move');
+        return;
+      }
+      const result = Rules.applyMove(room.game, tokenIndex);
+      room.game = result.state;
+      const owner = result.playerId;
+      broadcast({
+        type: 'state_update',
+        playerId: owner,
+        positions: positionsOf(owner),
+        move: { tokenIndex, roll: result.roll },
+        movedBy: player.id,
+        path: result.path,
+        captures: result.captures,
+        state: Array.from(new Set([owner].concat(result.captures.map(c => c.playerId)))).map(id => ({ id, positions: positionsOf(id) })),
+        captured: result.captures.length > 0,
+        finished: result.finished
+      });
+      if (result.playerFinished) {
+        broadcast({ type: 'player_finished', playerId: owner, place: room.game.finishOrder.indexOf(owner) + 1 });
+      }
+      if (Rules.isGameOver(room.game)) {
+        endGame();
+      } else {
+        announceTurn();
+      }
+    }
+
+    function endGame() {
+      clearTimeout(room.botTimer);
+      room.botTimer = null;
+      room.results = Rules.rankings(room.game).map((entry) => {
+        const seat = room.players.find(p => p.id === entry.playerId);
+        const gamePlayer = room.game.players.find(p => p.id === entry.playerId);
+        return Object.assign({}, entry, {
+          name: seat.name,
+          color: seat.color,
+          bot: seat.bot,
+          stats: {
+            captures: gamePlayer.captures,
+            tokensLost: gamePlayer.tokensLost,
+            sixesRolled: gamePlayer.sixesRolled,
+            turnsTaken: gamePlayer.turnsTaken
+          }
+        });
+      });
+      broadcast({ type: 'game_over', rankings: room.results, winningTeam: Rules.winningTeam(room.game), dice: publicDice() });
+    }
+
+    // The whole room, in the shape of the server's roomSnapshot. Moves are only listed when a
+    // person at the table is on turn.
+    function snapshot() {
+      const playing = Boolean(room.game) && !room.results;
+      const player = turnPlayer();
+      const moves = player && !player.bot ? Rules.legalMoves(room.game) : [];
+      return {
+        roomId: 'local',
+        rules: room.rules,
+        gameStarted: Boolean(room.game),
+        turnPlayerId: turnPlayerId(),
+        currentRoll: room.game ? room.game.currentRoll : 0,
+        moves,
+        previews: moves.map(tokenIndex => Rules.previewMove(room.game, tokenIndex)),
+        tokensOf: playing ? Rules.movingPlayer(room.game).id : null,
+        deadline: null,
+        timeLeft: null,
+        finishOrder: room.game ? room.game.finishOrder : [],
+        results: room.results,
+        winningTeam: room.results ? Rules.winningTeam(room.game) : null,
+        dice: publicDice(),
+        spectators: 0,
+        hostId: null,
+        locked: false,
+        hasPassword: false,
+        undoAllowed: false,
+        undoRequest: null,
+        players: room.players.map(p => Object.assign({}, p, { positions: positionsOf(p.id) }))
+      };
+    }
+
+    // Back to the lobby with the same seats for another game
+    function rematch() {
+      room.game = null;
+      room.results = null;
+      room.dice = createDice();
+      broadcast({ type: 'rematch', state: snapshot() });
+    }
+
+    // Bots roll, then move, after a short pause each
+    function scheduleBotTurn() {
+      const player = turnPlayer();
+      if (!player || !player.bot || room.botTimer) return;
+      room.botTimer = setTimeout(() => {
+        room.botTimer = null;
+        if (turnPlayer() !== player) return;
+        if (!room.game.currentRoll) {
+          roll(player);
+        } else {
+          move(player, Bots.chooseMove(room.game, player.bot));
+        }
+        scheduleBotTurn();
+      }, BOT_DELAY_MS);
+    }
+
+    // Whoever is on turn plays from this device, unless it is a bot
+    function handle(data) {
+      const player = turnPlayer();
+      switch (data.type) {
+        case 'ping':
+        case 'ready':
+        case 'active':
+          return;
+        case 'sync':
+          emit({ type: 'sync', seq: room.seq, state: snapshot() });
+          return;
+        case 'set_rules':
+          if (room.game) return emitError('GAME_STARTED', data.type);
+          // Local games are played on the classic board
+          room.rules = Rules.normalizeRules(Object.assign({}, data.rules, { board: 'classic' }));
+          broadcast({ type: 'rules', rules: room.rules });
+          broadcast(playerList());
+          return;
+        case 'start':
+          if (room.game) return emitError('GAME_STARTED', data.type);
+          return start();
+        case 'roll':
+        case 'move':
+          if (!room.game) return emitError('GAME_NOT_STARTED', data.type);
+          if (room.results) return emitError('GAME_OVER', data.type);
+          if (!player || player.bot) return emitError('NOT_YOUR_TURN', data.type);
+          if (data.type === 'roll') {
+            return room.game.currentRoll ? emitError('ALREADY_ROLLED', data.type) : roll(player);
+          }
+          return room.game.currentRoll ? move(player, data.tokenIndex) : emitError('NOT_ROLLED', data.type);
+        case 'rematch':
+          if (!room.results) return emitError('GAME_NOT_OVER', data.type);
+          return rematch();
+        default:
+          return emitError('INVALID_MESSAGE', data.type, 'Not available in a local game');
+      }
+    }
+
+    function send(text) {
+      const data = JSON.parse(text);
+      const check = Protocol.validateClientMessage(data);
+      if (!check.ok) {
+        emitError(check.code, data.type, check.message);
+        return;
+      }
+      handle(data);
+    }
+
+    function close() {
+      socket.readyState = 3;
+      clearTimeout(room.botTimer);
+      room.botTimer = null;
+    }
+
+    // Seat the device at the first human's place, as the server would on join
+    const first = room.players.find(p => !p.bot);
+    emit({
+      type: 'joined',
+      playerId: first.id,
+      roomId: 'local',
+      color: first.color,
+      sessionToken: 'local',
+      rules: room.rules,
+      players: room.players,
+      dice: publicDice(),
+      protocol: Protocol.PROTOCOL_VERSION,
+      seq: room.seq
+    });
+    broadcast(playerList());
+    return socket;
+  }
+
+  root.LudoLocalGame = {
+    createLocalGame
+  };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,119 @@
+// Backends through which several server instances share rooms (see routeConnection in
+// rooms.js): messages between instances, who owns each room, and room state anyone may read.
+// Every backend has the same interface, and every method returns a promise:
+//   publish(channel, message)     send a string to the channel's subscriber
+//   subscribe(channel, handler)   call handler(message) for each message published on the channel,
+//                                 as for every other handler subscribed to it
+//   unsubscribe(channel)
+//   claim(key, owner, ttlMs)      hold the key for `owner` for ttlMs unless someone else holds it
+//                                 (claiming again extends the hold); resolves to the holder
+//   holder(key)                   who holds the key, or null
+//   release(key, owner)           let go of the key, if owner holds it
+//   setField(hash, field, value), getField(hash, field), getFields(hash), deleteField(hash, field)
+//                                 string values grouped in named hashes
+// Instances listen on a channel of their own, and all of them on the channel for admin notices.
+
+// Everything in this process's memory: a single server instance, and tests
+function createMemoryBackend() {
+  // Subscribed handlers by channel
+  const handlers = new Map();
+  // Claimed keys: { owner, expires }
+  const holds = new Map();
+  const hashes = new Map();
+
+  function currentHolder(key) {
+    const hold = holds.get(key);
+    if (hold && hold.expires > Date.now()) return hold.owner;
+    holds.delete(key);
+    return null;
+  }
+
+  function hash(name) {
+    if (!hashes.has(name)) hashes.set(name, new Map());
+    return hashes.get(name);
+  }
+
+  return {
+    publish(channel, message) {
+      // Delivered on a later tick and in order, as messages over the network would be
+      setImmediate(() => {
+        (handlers.get(channel) || []).forEach((handler) => handler(message));
+      });
+      return Promise.resolve();
+    },
+    subscribe(channel, handler) {
+      handlers.set(channel, (handlers.get(channel) || []).concat(handler));
+      return Promise.resolve();
+    },
+    unsubscribe(channel) {
+      handlers.delete(channel);
+      return Promise.resolve();
+    },
+    claim(key, owner, ttlMs) {
+      const holder = currentHolder(key);
+      if (holder === null || holder === owner) {
+        holds.set(key, { owner, expires: Date.now() + ttlMs });
+        return Promise.resolve(owner);
+      }
+      return Promise.resolve(holder);
+    },
+    holder(key) {
+      return Promise.resolve(currentHolder(key));
+    },
+    release(key, owner) {
+      if (currentHolder(key) === owner) holds.delete(key);
+      return Promise.resolve();
+    },
+    setField(name, field, value) {
+      hash(name).set(field, value);
+      return Promise.resolve();
+    },
+    getField(name, field) {
+      return Promise.resolve(hash(name).has(field) ? hash(name).get(field) : null);
+    },
+    getFields(name) {
+      return Promise.resolve(Object.fromEntries(hash(name)));
+    },
+    deleteField(name, field) {
+      hash(name).delete(field);
+      return Promise.resolve();
+    },
+  };
+}
+
+// Redis, or anything that speaks its protocol, through two connected clients with the API of
+// the `redis` package: `client` runs commands and `subscriber` (usually client.duplicate())
+// listens, since a subscribed Redis connection can do nothing else
+function createRedisBackend(client, subscriber) {
+  function claim(key, owner, ttlMs) {
+    return client.set(key, owner, { NX: true, PX: ttlMs }).then((result) => {
+      if (result === 'OK') return owner;
+      return client.get(key).then((holder) => {
+        // The hold ran out between the two commands: try again
+        if (holder === null) return claim(key, owner, ttlMs);
+        if (holder !== owner) return holder;
+        return client.pExpire(key, ttlMs).then(() => owner);
+      });
+    });
+  }
+
+  return {
+    publish: (channel, message) => client.publish(channel, message).then(() => undefined),
+    subscribe: (channel, handler) => subscriber.subscribe(channel, handler),
+    unsubscribe: (channel) => subscriber.unsubscribe(channel),
+    claim,
+    holder: (key) => client.get(key),
+    release(key, owner) {
+      return client.get(key).then((holder) => (holder === owner ? client.del(key) : null)).then(() => undefined);
+    },
+    setField: (name, field, value) => client.hSet(name, field, value).then(() => undefined),
+    getField: (name, field) => client.hGet(name, field).then((value) => (value === undefined ? null : value)),
+    getFields: (name) => client.hGetAll(name).then((fields) => Object.assign({}, fields)),
+    deleteField: (name, field) => client.hDel(name, field).then(() => undefined),
+  };
+}
+
+module.exports = {
+  createMemoryBackend,
+  createRedisBackend,
+};
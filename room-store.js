@@ -0,0 +1,53 @@
+// Durable storage for rooms so games survive a server restart. Each room is one JSON file in
+// the store directory, rewritten whenever the room changes and deleted when it closes.
+const fs = require('fs');
+const path = require('path');
+
+function roomFile(dir, roomId) {
+  return path.join(dir, `${roomId}.json`);
+}
+
+// Write a room's saved form (see savedRoom in rooms.js). It goes to a temporary file first
+// and is renamed into place, so a crash mid-write never leaves half a room behind.
+function saveRoom(dir, data) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = roomFile(dir, data.id);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function deleteRoom(dir, roomId) {
+  fs.rmSync(roomFile(dir, roomId), { force: true });
+}
+
+// Every saved room that changed within the last `ttlMs`. Expired rooms, unreadable files and
+// leftovers from interrupted writes are deleted along the way.
+function loadRooms(dir, ttlMs, now = Date.now()) {
+  if (!fs.existsSync(dir)) return [];
+  const loaded = [];
+  fs.readdirSync(dir).forEach((name) => {
+    const file = path.join(dir, name);
+    if (!name.endsWith('.json')) {
+      if (name.endsWith('.json.tmp')) fs.rmSync(file, { force: true });
+      return;
+    }
+    let data = null;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.error(`Discarding unreadable room file ${name}:`, err.message);
+    }
+    if (data && data.id && now - data.updatedAt <= ttlMs) {
+      loaded.push(data);
+    } else {
+      fs.rmSync(file, { force: true });
+    }
+  });
+  return loaded;
+}
+
+module.exports = {
+  saveRoom,
+  deleteRoom,
+  loadRooms,
+};
@@ -0,0 +1,1958 @@
+// Game rooms: seats, the games played in them and the messages of the clients in them. Each room
+// is run by one server instance; server.js hands this module the connections and the backend
+// shared with the other instances (see start).
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const path = require('path');
+const Rules = require('./shared/rules');
+const Bots = require('./shared/bots');
+const Dice = require('./shared/dice');
+const Protocol = require('./shared/protocol');
+const RoomStore = require('./room-store');
+const Accounts = require('./accounts');
+const Metrics = require('./metrics');
+
+// In-memory storage for game rooms
+const rooms = new Map();
+
+// How long a disconnected player's seat is held before they are removed from the room
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
+
+// Pause before each bot action so humans can follow what happened
+const BOT_DELAY_MS = Number(process.env.BOT_DELAY_MS) || 900;
+
+// Time a player has to roll and move before the server plays for them
+const TURN_TIMEOUT_MS = Number(process.env.TURN_TIMEOUT_MS) || 30000;
+// Consecutive timeouts after which a player is marked inactive and skipped
+const MAX_MISSED_TURNS = Number(process.env.MAX_MISSED_TURNS) || 3;
+// Time the others have to answer a take-back before it is dropped and play goes on
+const UNDO_TIMEOUT_MS = Number(process.env.UNDO_TIMEOUT_MS) || 15000;
+
+// Chat messages and reactions a connection may send per window before it is told to slow down
+const CHAT_RATE_LIMIT = Number(process.env.CHAT_RATE_LIMIT) || 5;
+const CHAT_RATE_WINDOW_MS = Number(process.env.CHAT_RATE_WINDOW_MS) || 10000;
+
+// Messages of any kind a connection may send: a burst of MESSAGE_BURST, then MESSAGE_RATE a second
+const MESSAGE_RATE = Number(process.env.MESSAGE_RATE) || 10;
+const MESSAGE_BURST = Number(process.env.MESSAGE_BURST) || 20;
+// Rooms one instance runs, and spectators one room takes
+const MAX_ROOMS = Number(process.env.MAX_ROOMS) || 1000;
+const MAX_SPECTATORS = Number(process.env.MAX_SPECTATORS) || 50;
+// Longest player or spectator name, in characters
+const MAX_NAME_LENGTH = Number(process.env.MAX_NAME_LENGTH) || 20;
+// Whether a kick also keeps out the player's address, and so everyone else behind it. Off unless
+// KICK_BANS_ADDRESS is set to 1; it needs TRUST_PROXY behind a load balancer, or every client
+// shares the balancer's address.
+const KICK_BANS_ADDRESS = process.env.KICK_BANS_ADDRESS === '1';
+
+// Logs of closed rooms are kept, oldest dropped first, so a finished game can still be downloaded
+const LOG_ARCHIVE_SIZE = Number(process.env.LOG_ARCHIVE_SIZE) || 100;
+const archivedLogs = new Map();
+
+// Rooms are saved here as they change and reloaded at startup
+const ROOM_STORE_DIR = process.env.ROOM_STORE_DIR || path.join(__dirname, 'data', 'rooms');
+// Rooms untouched for this long are closed and dropped from the store
+const ROOM_TTL_MS = Number(process.env.ROOM_TTL_MS) || 24 * 60 * 60 * 1000;
+// Rooms without a game in progress, waiting in the lobby or showing results, go sooner
+const IDLE_ROOM_TTL_MS = Number(process.env.IDLE_ROOM_TTL_MS) || 30 * 60 * 1000;
+// Rooms changed since they were last written, saved together once the current event is handled
+const dirtyRooms = new Set();
+let saveScheduled = false;
+
+// Player accounts and their login sessions (see accounts.js), handed over by start()
+let accountStore = null;
+
+// Served by GET /metrics. Gauges are worked out when scraped; counters go up as things happen.
+const metrics = Metrics.createMetrics({
+  ludo_uptime_seconds: { type: 'gauge', help: 'Seconds since the server started' },
+  ludo_open_sockets: { type: 'gauge', help: 'Open WebSocket connections' },
+  ludo_rooms: { type: 'gauge', help: 'Open rooms by state', labels: ['state'] },
+  ludo_games_started_total: { type: 'counter', help: 'Games started' },
+  ludo_games_finished_total: { type: 'counter', help: 'Games played to the end' },
+  ludo_rolls_total: { type: 'counter', help: 'Dice rolled' },
+  ludo_moves_total: { type: 'counter', help: 'Tokens moved' },
+  ludo_messages_received_total: { type: 'counter', help: 'Client messages received by type, "invalid" for rejected ones', labels: ['type'] },
+  ludo_messages_sent_total: { type: 'counter', help: 'Room messages delivered to sockets by type', labels: ['type'] },
+  ludo_errors_total: { type: 'counter', help: 'Error replies sent by code', labels: ['code'] },
+});
+
+// Rooms are shared between server instances through a backend (see pubsub.js). Each room is
+// owned by one instance, which runs its game; the others relay their clients to it.
+const INSTANCE_ID = crypto.randomBytes(8).toString('hex');
+// How long an instance's claim on a room lasts unless it is renewed
+const OWNER_TTL_MS = Number(process.env.OWNER_TTL_MS) || 15000;
+// Channel the admin maintenance notices go out on, to every instance
+const NOTICE_CHANNEL = 'notices';
+let backend = null;
+// Clients connected here whose room is owned by another instance, by connection id:
+// { ws, owner, roomId }
+const relayedClients = new Map();
+// Sockets standing in for clients connected to other instances, by connection id
+const remoteSockets = new Map();
+
+// Utility to generate a random unique id for a new player
+function makeId() {
+  return Math.random().toString(36).substr(2, 9);
+}
+
+// Id for a room created by the server (quick match), unique among open rooms
+function makeRoomId() {
+  let roomId;
+  do {
+    roomId = Math.random().toString(36).substr(2, 6);
+  } while (rooms.has(roomId));
+  return roomId;
+}
+
+// Secret handed to a player on join so they can reclaim their seat after a dropped connection
+function makeSessionToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Fresh dice for the next game: the seed stays secret until the game ends, its hash is public
+// from the moment the room (or rematch) is set up, before anyone picks a client seed
+function createDice() {
+  const serverSeed = crypto.randomBytes(32).toString('hex');
+  return {
+    serverSeed,
+    commitment: Dice.commitment(serverSeed),
+    // [{ playerId, seed }] of the players who sent a seed, in seating order, fixed when the game
+    // starts
+    clientSeeds: null,
+    // Number of rolls made so far; roll n uses counter n
+    rolls: 0,
+  };
+}
+
+// Create a new game room
+function createRoom(roomId) {
+  return {
+    id: roomId,
+    players: [],
+    // Read-only watchers: { id, name, ws }
+    spectators: [],
+    // Public rooms are listed in the lobby and used by quick match; private ones need an invite link
+    isPublic: false,
+    // Seat id of the human running the room: rules, bots, start, rematch and moderation
+    hostId: null,
+    // A locked room takes no new players; a password is asked of everyone joining or watching
+    locked: false,
+    password: null,
+    // Players the host removed, kept out for as long as the room lasts: { accountId, address }.
+    // Guests are only kept out by address, when KICK_BANS_ADDRESS is on.
+    kicked: [],
+    // Whether players may take back a move when everyone else agrees
+    undoAllowed: true,
+    gameStarted: false,
+    // House rules chosen by the host before the game starts
+    rules: Rules.normalizeRules(),
+    // Rules-engine state (see shared/rules.js), created when the game starts
+    game: null,
+    // Final standings and stats, set once the game is over
+    results: null,
+    // Players with accounts who walked out of the game in progress, first to leave first:
+    // { playerId, accountId, captures }. They are rated below everyone who saw it through.
+    departed: [],
+    // Commit–reveal dice (see shared/dice.js)
+    dice: createDice(),
+    // Pending timer for the next bot action, if a bot is on turn
+    botTimer: null,
+    // Turn clock for human players: fires an automatic move at the deadline
+    turnTimer: null,
+    turnDeadline: null,
+    createdAt: Date.now(),
+    // Last change, for expiring idle rooms
+    updatedAt: Date.now(),
+    // Ordered record of everything that happened in the room, served by GET /rooms/:id/log
+    log: [],
+    // Take-backs: { game, movedBy, tokenIndex } from before each move since the last roll, and
+    // the pending request, { playerId, waitingFor } with the ids still to accept it, dropped by
+    // undoTimer if they don't answer in time
+    undoHistory: [],
+    undoRequest: null,
+    undoTimer: null,
+    // Number of the last message broadcast to the room (see SEQ in shared/protocol.js)
+    seq: 0,
+  };
+}
+
+// Get or create a room; null if it would be new and this instance already runs MAX_ROOMS
+function getRoom(roomId) {
+  if (!rooms.has(roomId)) {
+    if (rooms.size >= MAX_ROOMS) return null;
+    const room = createRoom(roomId);
+    rooms.set(roomId, room);
+    // Normally claimed already, when its first player was routed here. Should another instance
+    // hold it after all, it runs the room and this copy is handed over to it.
+    claimRoom(roomId).then((owner) => {
+      if (owner !== INSTANCE_ID && rooms.get(roomId) === room) handOver(room, owner);
+    }).catch(logBackendError);
+  }
+  return rooms.get(roomId);
+}
+
+// What is kept of a room on disk: everything except sockets, timers and spectators
+function savedRoom(room) {
+  return {
+    id: room.id,
+    players: room.players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      color: p.color,
+      sessionToken: p.sessionToken,
+      accountId: p.accountId,
+      address: p.address,
+      ready: p.ready,
+      clientSeed: p.clientSeed,
+      bot: p.bot,
+      missedTurns: p.missedTurns,
+      inactive: p.inactive,
+    })),
+    isPublic: room.isPublic,
+    hostId: room.hostId,
+    locked: room.locked,
+    password: room.password,
+    kicked: room.kicked,
+    undoAllowed: room.undoAllowed,
+    gameStarted: room.gameStarted,
+    rules: room.rules,
+    game: room.game,
+    results: room.results,
+    departed: room.departed,
+    dice: room.dice,
+    createdAt: room.createdAt,
+    updatedAt: room.updatedAt,
+    log: room.log,
+    undoHistory: room.undoHistory,
+    seq: room.seq,
+  };
+}
+
+// Rebuild a room from its saved form. Nobody is connected yet; bots need no socket.
+function restoreRoom(data) {
+  const room = Object.assign(createRoom(data.id), data);
+  room.players = data.players.map((p) => Object.assign({}, p, {
+    ws: null,
+    connected: Boolean(p.bot),
+    disconnectTimer: null,
+  }));
+  return room;
+}
+
+// Write every room changed since the last save
+function saveRooms() {
+  saveScheduled = false;
+  dirtyRooms.forEach((room) => {
+    try {
+      if (rooms.get(room.id) === room) {
+        const saved = savedRoom(room);
+        RoomStore.saveRoom(ROOM_STORE_DIR, saved);
+        publishRoom(room, saved);
+      }
+    } catch (err) {
+      console.error(`Could not save room ${room.id}:`, err);
+    }
+  });
+  dirtyRooms.clear();
+}
+
+// Note that a room changed; it is saved once the current message or timer has been handled
+function roomChanged(room) {
+  room.updatedAt = Date.now();
+  dirtyRooms.add(room);
+  if (!saveScheduled) {
+    saveScheduled = true;
+    setImmediate(saveRooms);
+  }
+}
+
+// Close a room for good: stop its clocks, keep its log for download and drop it from the store
+function closeRoom(room) {
+  stopRoomTimers(room);
+  archiveLog(room);
+  rooms.delete(room.id);
+  dirtyRooms.delete(room);
+  try {
+    RoomStore.deleteRoom(ROOM_STORE_DIR, room.id);
+  } catch (err) {
+    console.error(`Could not delete room ${room.id}:`, err);
+  }
+  Promise.all([backend.deleteField('rooms', room.id), backend.deleteField('lobby', room.id)])
+    .then(() => backend.release(ownerKey(room.id), INSTANCE_ID))
+    .catch(logBackendError);
+}
+
+function logBackendError(err) {
+  console.error('Room backend error:', err);
+}
+
+// Backend key naming the instance that owns a room
+function ownerKey(roomId) {
+  return `owner:${roomId}`;
+}
+
+// Backend channel for messages to one instance
+function instanceChannel(instanceId) {
+  return `instance:${instanceId}`;
+}
+
+// Claim a room for this instance, or keep the claim it has; resolves to whoever owns it
+function claimRoom(roomId) {
+  return backend.claim(ownerKey(roomId), INSTANCE_ID, OWNER_TTL_MS);
+}
+
+// Keep the claims on every room this instance runs. A room another instance claimed meanwhile,
+// because this one was cut off for longer than OWNER_TTL_MS, is handed over to it.
+function renewOwnership() {
+  rooms.forEach((room) => {
+    claimRoom(room.id).then((owner) => {
+      if (owner !== INSTANCE_ID && rooms.get(room.id) === room) handOver(room, owner);
+    }).catch(logBackendError);
+  });
+}
+
+// Let go of a room another instance now runs: disconnect its members, who reconnect and are
+// routed there, and forget it here. What the backend holds of it is the new owner's to keep.
+function handOver(room, owner) {
+  console.error(`Room ${room.id} was claimed by instance ${owner}; handing it over`);
+  stopRoomTimers(room);
+  disconnectMembers(room, null);
+  rooms.delete(room.id);
+  dirtyRooms.delete(room);
+  try {
+    RoomStore.deleteRoom(ROOM_STORE_DIR, room.id);
+  } catch (err) {
+    console.error(`Could not delete room ${room.id}:`, err);
+  }
+}
+
+// Share a room's saved form, so another instance can take it over, and its lobby entry
+function publishRoom(room, saved) {
+  backend.setField('rooms', room.id, JSON.stringify(saved)).catch(logBackendError);
+  if (room.isPublic && room.players.length > 0) {
+    backend.setField('lobby', room.id, JSON.stringify(lobbyEntry(room))).catch(logBackendError);
+  } else {
+    backend.deleteField('lobby', room.id).catch(logBackendError);
+  }
+}
+
+// Lobby entries of the public rooms on every instance
+function listLobby() {
+  return backend.getFields('lobby').then((fields) => Object.values(fields).map((entry) => JSON.parse(entry)));
+}
+
+// A room on whichever instance runs it, with that instance's id: as it is if it runs here,
+// otherwise rebuilt from its saved form (see publishRoom). Resolves to null if there is no such
+// room; the owner is null if the instance running it has gone and nobody has taken it over yet.
+function findRoom(roomId) {
+  if (rooms.has(roomId)) return Promise.resolve({ room: rooms.get(roomId), owner: INSTANCE_ID });
+  return Promise.all([backend.getField('rooms', roomId), backend.holder(ownerKey(roomId))]).then(([saved, owner]) => {
+    if (rooms.has(roomId)) return { room: rooms.get(roomId), owner: INSTANCE_ID };
+    return saved ? { room: restoreRoom(JSON.parse(saved)), owner } : null;
+  });
+}
+
+// Every room on every instance, as findRoom finds them
+function listRooms() {
+  return backend.getFields('rooms').then((fields) => {
+    const ids = new Set(Object.keys(fields).concat(Array.from(rooms.keys())));
+    return Promise.all(Array.from(ids).map(findRoom));
+  }).then((found) => found.filter(Boolean));
+}
+
+// Close a room for good on an administrator's say, sending everyone in it back to the lobby
+function closeRoomByAdmin(room) {
+  recordEvent(room, 'closed', { by: 'admin' });
+  disconnectMembers(room, 'An administrator closed this room');
+  closeRoom(room);
+}
+
+// Close a room on whichever instance runs it. One nobody runs any more is taken over to be
+// closed here. Resolves to 'closed', to 'forwarded' once the owner has been asked to close
+// it, or to null if there is no such room.
+function adminCloseRoom(roomId) {
+  return roomOwner(roomId).then((owner) => {
+    if (owner !== INSTANCE_ID) {
+      relay(owner, { kind: 'close_room', roomId });
+      return 'forwarded';
+    }
+    const room = rooms.get(roomId);
+    if (room) {
+      closeRoomByAdmin(room);
+      return 'closed';
+    }
+    // Nothing to take over, or only a record too old to bring back
+    return Promise.all([backend.deleteField('rooms', roomId), backend.deleteField('lobby', roomId)])
+      .then(() => backend.release(ownerKey(roomId), INSTANCE_ID))
+      .then(() => null);
+  });
+}
+
+// Take charge of a saved room. Its players reconnect with the session they already hold and get
+// the usual grace period to do so; a game carries on from the saved position with a fresh turn
+// clock.
+function adoptRoom(data) {
+  const room = restoreRoom(data);
+  rooms.set(room.id, room);
+  // Back in the lobby and quick match, under this instance
+  publishRoom(room, savedRoom(room));
+  room.players.forEach((p) => {
+    if (!p.bot) holdSeat(room, p);
+  });
+  if (room.game && !room.results) {
+    startTurnClock(room);
+    scheduleBotTurn(room);
+  }
+}
+
+// The instance that owns a room, claiming it for this one if nobody does. A room another
+// instance saved before it went away is taken over from its saved form.
+function roomOwner(roomId) {
+  if (rooms.has(roomId)) return Promise.resolve(INSTANCE_ID);
+  return claimRoom(roomId).then((owner) => {
+    if (owner !== INSTANCE_ID) return owner;
+    return backend.getField('rooms', roomId).then((saved) => {
+      const data = saved && JSON.parse(saved);
+      if (data && Date.now() - data.updatedAt <= ROOM_TTL_MS && !rooms.has(roomId)) adoptRoom(data);
+      return owner;
+    });
+  });
+}
+
+// Disconnect everyone in a room that is about to close, telling them why if `message` is given
+function disconnectMembers(room, message) {
+  room.players.concat(room.spectators).forEach((member) => {
+    const ws = member.ws;
+    // Detach first so the socket's close handler does not hold the seat for a reconnect
+    member.ws = null;
+    clearTimeout(member.disconnectTimer);
+    if (!ws) return;
+    if (message && ws.readyState === 1) ws.send(JSON.stringify({ type: 'kicked', message }));
+    ws.close();
+  });
+}
+
+// Close rooms nobody has touched within their TTL, disconnecting anyone still in them
+function expireRooms() {
+  const now = Date.now();
+  Array.from(rooms.values()).forEach((room) => {
+    const ttl = roomState(room) === 'playing' ? ROOM_TTL_MS : IDLE_ROOM_TTL_MS;
+    if (room.updatedAt > now - ttl) return;
+    disconnectMembers(room, 'This room was closed after standing idle');
+    closeRoom(room);
+  });
+}
+
+// Where a room is at: waiting in the lobby, playing, or showing a finished game's results
+function roomState(room) {
+  if (!room.game) return 'lobby';
+  return room.results ? 'finished' : 'playing';
+}
+
+// Append an event to the room's game log
+function recordEvent(room, type, details) {
+  room.log.push(Object.assign({ seq: room.log.length + 1, time: Date.now(), type }, details));
+}
+
+// The downloadable game log: room details plus every recorded event in order
+function gameLog(room) {
+  return {
+    roomId: room.id,
+    createdAt: room.createdAt,
+    rules: room.rules,
+    players: room.players.map((p) => ({ id: p.id, name: p.name, color: p.color, bot: p.bot })),
+    events: room.log,
+  };
+}
+
+// Keep the log of a room that is being closed, dropping the oldest once the archive is full
+function archiveLog(room) {
+  archivedLogs.delete(room.id);
+  archivedLogs.set(room.id, gameLog(room));
+  if (archivedLogs.size > LOG_ARCHIVE_SIZE) {
+    archivedLogs.delete(archivedLogs.keys().next().value);
+  }
+}
+
+// What everyone may know about the dice: the commitment and client seeds, and the
+// server seed once the game is over
+function publicDice(room) {
+  return {
+    commitment: room.dice.commitment,
+    clientSeeds: room.dice.clientSeeds,
+    serverSeed: room.results ? room.dice.serverSeed : null,
+  };
+}
+
+// The seated player who hosts the room, or null if there is none
+function roomHost(room) {
+  return room.players.find((p) => p.id === room.hostId) || null;
+}
+
+// Hand the host role to someone else, preferring humans who are still connected
+function passHost(room) {
+  const next = room.players.find((p) => !p.bot && p.connected) || room.players.find((p) => !p.bot);
+  room.hostId = next ? next.id : null;
+  if (next) recordEvent(room, 'host', { playerId: next.id });
+}
+
+// Number of seats at the room's board
+function seatCount(room) {
+  return Rules.boardFor(room.rules).colors.length;
+}
+
+// How a public room appears in the lobby's room list
+function lobbyEntry(room) {
+  return {
+    id: room.id,
+    host: roomHost(room).name,
+    players: room.players.length,
+    maxPlayers: seatCount(room),
+    colors: room.players.map((p) => p.color),
+    rules: room.rules,
+    started: room.gameStarted,
+    spectators: room.spectators.length,
+    locked: room.locked,
+    hasPassword: Boolean(room.password),
+  };
+}
+
+// Whether quick match may seat someone in a room
+function quickMatchOpen(room) {
+  return room.isPublic && !room.gameStarted && !room.locked && !room.password && room.players.length < seatCount(room);
+}
+
+// Id of the room a quick match player should go to, out of every instance's public rooms: the
+// fullest one still waiting for players, or a new one
+function pickQuickMatchRoom() {
+  return listLobby().then((entries) => {
+    const open = entries.filter((e) => !e.started && !e.locked && !e.hasPassword && e.players < e.maxPlayers);
+    open.sort((a, b) => b.players - a.players);
+    return open.length > 0 ? open[0].id : makeRoomId();
+  });
+}
+
+// The room a quick match player sits down in: the one picked for them (see pickQuickMatchRoom)
+// if it still has a free seat, otherwise the fullest open public room here or a new one
+function quickMatchRoom(roomId) {
+  const picked = rooms.get(roomId);
+  if (picked && quickMatchOpen(picked)) return picked;
+  let best = null;
+  rooms.forEach((room) => {
+    if (!quickMatchOpen(room)) return;
+    if (!best || room.players.length > best.players.length) best = room;
+  });
+  if (best) return best;
+  const room = getRoom(picked || !roomId ? makeRoomId() : roomId);
+  if (room) room.isPublic = true;
+  return room;
+}
+
+// The account a seat is played from, or null for guests and bots
+function seatAccount(player) {
+  return (player.accountId && accountStore.accounts[player.accountId]) || null;
+}
+
+// Public view of the players in a room, as sent in player lists
+function publicPlayers(room) {
+  return room.players.map((p) => {
+    const account = seatAccount(p);
+    return {
+      id: p.id,
+      name: p.name,
+      color: p.color,
+      ready: p.ready,
+      connected: p.connected,
+      bot: p.bot,
+      inactive: p.inactive,
+      account: account ? account.username : null,
+      rating: account ? account.rating : null,
+    };
+  });
+}
+
+// Id of the player whose turn it is, or null before the game starts and after it ends
+function turnPlayerId(room) {
+  const player = room.game && !room.results && Rules.currentPlayer(room.game);
+  return player ? player.id : null;
+}
+
+// Token positions of a seated player (all in base until the game starts)
+function positionsOf(room, playerId) {
+  const gamePlayer = room.game && room.game.players.find((p) => p.id === playerId);
+  return gamePlayer ? gamePlayer.positions : new Array(room.rules.tokensPerPlayer).fill(Rules.BASE);
+}
+
+// Player list broadcast, including who hosts the room and how many people are watching
+function playerListMessage(room) {
+  return {
+    type: 'player_list',
+    players: publicPlayers(room),
+    spectators: room.spectators.length,
+    hostId: room.hostId,
+    locked: room.locked,
+    hasPassword: Boolean(room.password),
+    undoAllowed: room.undoAllowed,
+  };
+}
+
+// Full picture of a room for a (re)connecting player or a spectator (player is null):
+// seats, positions, turn and pending roll
+function roomSnapshot(room, player) {
+  const isTheirTurn = Boolean(player) && turnPlayerId(room) === player.id;
+  return {
+    roomId: room.id,
+    rules: room.rules,
+    gameStarted: room.gameStarted,
+    turnPlayerId: turnPlayerId(room),
+    currentRoll: room.game ? room.game.currentRoll : 0,
+    moves: isTheirTurn ? Rules.legalMoves(room.game) : [],
+    previews: isTheirTurn ? movePreviews(room.game) : [],
+    // Whose tokens those moves are for (a partner's when a finished player rolls for them)
+    tokensOf: room.game && !room.results ? Rules.movingPlayer(room.game).id : null,
+    deadline: room.turnDeadline,
+    timeLeft: timeLeft(room),
+    finishOrder: room.game ? room.game.finishOrder : [],
+    results: room.results,
+    winningTeam: room.results ? Rules.winningTeam(room.game) : null,
+    dice: publicDice(room),
+    spectators: room.spectators.length,
+    hostId: room.hostId,
+    locked: room.locked,
+    hasPassword: Boolean(room.password),
+    undoAllowed: room.undoAllowed,
+    undoRequest: room.undoRequest,
+    players: publicPlayers(room).map((p) => Object.assign(p, { positions: positionsOf(room, p.id) })),
+  };
+}
+
+// Broadcast a message to all players and spectators in a room. Every change to a room is
+// broadcast, so this is also where the room gets saved.
+function broadcast(room, data) {
+  roomChanged(room);
+  room.seq += 1;
+  const message = JSON.stringify(Object.assign({}, data, { seq: room.seq }));
+  room.players.concat(room.spectators).forEach((member) => {
+    if (member.ws && member.ws.readyState === 1) {
+      try {
+        member.ws.send(message);
+        Metrics.increment(metrics, 'ludo_messages_sent_total', { type: data.type });
+      } catch (err) {
+        console.error('Send error:', err);
+      }
+    }
+  });
+}
+
+// Tell a client why its request was rejected, using a code from shared/protocol.js
+function sendError(ws, code, requestType, message) {
+  Metrics.increment(metrics, 'ludo_errors_total', { code });
+  ws.send(JSON.stringify(Protocol.errorMessage(code, requestType, message)));
+}
+
+// Whether a connection that last chatted at `times` may send another message now; if so the
+// message is counted
+function withinChatLimit(times) {
+  const now = Date.now();
+  while (times.length > 0 && times[0] <= now - CHAT_RATE_WINDOW_MS) times.shift();
+  if (times.length >= CHAT_RATE_LIMIT) return false;
+  times.push(now);
+  return true;
+}
+
+// A name as others will see it: no control or text-direction characters, runs of spaces
+// collapsed and cut to MAX_NAME_LENGTH. Null if nothing is left of it.
+function cleanName(name) {
+  if (typeof name !== 'string') return null;
+  const cleaned = name
+    .replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2060-\u206f\ufeff]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_NAME_LENGTH)
+    .trim();
+  return cleaned || null;
+}
+
+// Choose a free color for a new seat, honouring a requested one where possible
+function pickColor(room, requested) {
+  // Track colors already taken
+  const takenColors = room.players.map((p) => p.color);
+  const colors = Rules.boardFor(room.rules).colors;
+  let chosenColor = colors.includes(requested) ? requested : null;
+  // If a second player joins, they should be assigned the diagonally opposite colour to the
+  // first player (Red ↔ Yellow, Green ↔ Blue; Red ↔ Blue and so on round the six-player board).
+  // In team games that seat is the first player's partner, so the second player takes the next
+  // free colour instead and joins the other team.
+  if (room.players.length === 1 && !room.rules.teams) {
+    // Second player: force the opposite colour of the first player's colour
+    const firstColour = room.players[0].color;
+    const opposite = colors[(colors.indexOf(firstColour) + colors.length / 2) % colors.length];
+    // Only assign if not already taken (shouldn't be), otherwise fallback to first available
+    if (!takenColors.includes(opposite)) {
+      chosenColor = opposite;
+    }
+  }
+  // For subsequent players or if no colour specified, choose the first available colour
+  if (!chosenColor || takenColors.includes(chosenColor)) {
+    chosenColor = colors.find((c) => !takenColors.includes(c)) || null;
+  }
+  return chosenColor;
+}
+
+// The seated player whose turn it is
+function turnPlayer(room) {
+  const id = turnPlayerId(room);
+  return room.players.find((p) => p.id === id) || null;
+}
+
+// Milliseconds left on the turn clock, or null when no clock is running
+function timeLeft(room) {
+  return room.turnDeadline ? Math.max(0, room.turnDeadline - Date.now()) : null;
+}
+
+// Whether someone who is still playing has not been marked inactive
+function hasActivePlayer(room) {
+  return room.game.players.some((gp) => {
+    const seat = room.players.find((p) => p.id === gp.id);
+    return seat && !seat.inactive && !Rules.isPlayerFinished(gp, Rules.boardFor(room.rules));
+  });
+}
+
+// (Re)start the clock for the player on turn; bots play on their own schedule
+function startTurnClock(room) {
+  clearTimeout(room.turnTimer);
+  room.turnTimer = null;
+  room.turnDeadline = null;
+  const player = turnPlayer(room);
+  if (!player || player.bot || Rules.isGameOver(room.game)) return;
+  room.turnDeadline = Date.now() + TURN_TIMEOUT_MS;
+  room.turnTimer = setTimeout(() => handleTurnTimeout(room, player), TURN_TIMEOUT_MS);
+}
+
+// Tell everyone whose turn it is (and until when), and set a bot going if it's theirs
+function announceTurn(room) {
+  // Skip players marked inactive, as long as someone active is left to play
+  let player = turnPlayer(room);
+  for (let i = 0; i < room.players.length && player && player.inactive && hasActivePlayer(room); i++) {
+    room.game = Rules.nextTurn(room.game);
+    player = turnPlayer(room);
+  }
+  startTurnClock(room);
+  recordEvent(room, 'turn', { playerId: turnPlayerId(room) });
+  broadcast(room, {
+    type: 'turn',
+    playerId: turnPlayerId(room),
+    deadline: room.turnDeadline,
+    timeLeft: timeLeft(room),
+  });
+  scheduleBotTurn(room);
+}
+
+// The player let their clock run out: roll and move for them
+function handleTurnTimeout(room, player) {
+  room.turnTimer = null;
+  room.turnDeadline = null;
+  if (turnPlayer(room) !== player) return;
+  player.missedTurns += 1;
+  recordEvent(room, 'timeout', { playerId: player.id, missedTurns: player.missedTurns });
+  broadcast(room, { type: 'turn_timeout', playerId: player.id, missedTurns: player.missedTurns });
+  if (player.missedTurns >= MAX_MISSED_TURNS && !player.inactive) {
+    player.inactive = true;
+    broadcast(room, playerListMessage(room));
+  }
+  if (!room.game.currentRoll) {
+    handleRoll(room, player);
+  }
+  // A pass on the roll has already moved the turn on
+  if (turnPlayer(room) === player && room.game.currentRoll) {
+    handleMove(room, player, Bots.chooseMove(room.game, 'random'));
+  }
+}
+
+// A player acted for themselves: reset their timeout count and bring them back if inactive
+function markActive(room, player) {
+  player.missedTurns = 0;
+  if (player.inactive) {
+    player.inactive = false;
+    broadcast(room, playerListMessage(room));
+  }
+}
+
+// Stop every timer a room owns, before it is thrown away
+function stopRoomTimers(room) {
+  clearTimeout(room.botTimer);
+  clearTimeout(room.turnTimer);
+  clearTimeout(room.undoTimer);
+  room.botTimer = null;
+  room.turnTimer = null;
+  room.undoTimer = null;
+  room.turnDeadline = null;
+}
+
+// The game is over: stop the clocks, rank everyone and send the results
+function endGame(room) {
+  stopRoomTimers(room);
+  clearUndo(room);
+  room.results = Rules.rankings(room.game).map((entry) => {
+    const seat = room.players.find((p) => p.id === entry.playerId);
+    const gamePlayer = room.game.players.find((p) => p.id === entry.playerId);
+    return Object.assign({}, entry, {
+      name: seat.name,
+      color: seat.color,
+      bot: seat.bot,
+      stats: {
+        captures: gamePlayer.captures,
+        tokensLost: gamePlayer.tokensLost,
+        sixesRolled: gamePlayer.sixesRolled,
+        turnsTaken: gamePlayer.turnsTaken,
+      },
+    });
+  });
+  const winningTeam = Rules.winningTeam(room.game);
+  rateGame(room, winningTeam);
+  Metrics.increment(metrics, 'ludo_games_finished_total');
+  // Reveal the server seed so every roll can be checked
+  recordEvent(room, 'game_over', { rankings: room.results, winningTeam, dice: publicDice(room) });
+  broadcast(room, { type: 'game_over', rankings: room.results, winningTeam, dice: publicDice(room) });
+}
+
+// Add the finished game to the profiles of the players who have accounts and move their
+// ratings; each result entry gets the account's new rating and how much it changed. Those who
+// walked out lose, in the last places: the first to leave in the very last.
+function rateGame(room, winningTeam) {
+  const rated = room.results.filter((entry) => seatAccount(room.players.find((p) => p.id === entry.playerId)));
+  const departed = room.departed.filter((d) => accountStore.accounts[d.accountId]);
+  if (rated.length + departed.length === 0) return;
+  const won = (entry) => (winningTeam === null ? entry.place === 1 : entry.team === winningTeam);
+  const lastPlace = room.results.length + room.departed.length;
+  const changes = Accounts.recordGame(accountStore, rated.map((entry) => ({
+    accountId: room.players.find((p) => p.id === entry.playerId).accountId,
+    place: entry.place,
+    rank: winningTeam === null ? entry.place : (won(entry) ? 1 : 2),
+    won: won(entry),
+    captures: entry.stats.captures,
+  })).concat(departed.map((d) => {
+    const place = lastPlace - room.departed.indexOf(d);
+    return { accountId: d.accountId, place, rank: winningTeam === null ? place : 2, won: false, captures: d.captures };
+  })));
+  rated.forEach((entry, i) => {
+    const account = seatAccount(room.players.find((p) => p.id === entry.playerId));
+    entry.account = account.username;
+    entry.rating = account.rating;
+    entry.ratingChange = changes[i];
+  });
+  saveAccountStore();
+}
+
+// Put a finished room back in the lobby with the same seats, ready for a rematch
+function resetRoom(room) {
+  stopRoomTimers(room);
+  clearUndo(room);
+  room.gameStarted = false;
+  room.game = null;
+  room.results = null;
+  room.departed = [];
+  room.dice = createDice();
+  // The new game gets a log of its own; the last one was offered for download on the results screen
+  room.log = [];
+  room.players.forEach((p) => {
+    p.ready = Boolean(p.bot);
+    p.clientSeed = null;
+    p.missedTurns = 0;
+    p.inactive = false;
+  });
+  recordEvent(room, 'rematch', {
+    players: room.players.map((p) => ({ id: p.id, name: p.name, color: p.color, bot: p.bot })),
+  });
+  broadcast(room, { type: 'rematch', state: roomSnapshot(room, null) });
+}
+
+// What each legal move for the pending roll would do
+function movePreviews(game) {
+  return Rules.legalMoves(game).map((tokenIndex) => Rules.previewMove(game, tokenIndex));
+}
+
+// Roll for the player on turn and broadcast the result.
+// Returns an error code if the roll is not allowed right now, otherwise null.
+function handleRoll(room, player) {
+  const game = room.game;
+  if (!game) return 'GAME_NOT_STARTED';
+  if (room.results) return 'GAME_OVER';
+  // Ensure it's this player's turn and they haven't already rolled
+  if (turnPlayerId(room) !== player.id) return 'NOT_YOUR_TURN';
+  if (game.currentRoll) return 'ALREADY_ROLLED';
+  // Moves before this roll can no longer be taken back
+  clearUndo(room);
+  // Finished players in team games may be rolling for their partner
+  const tokensOf = Rules.movingPlayer(game).id;
+  const counter = room.dice.rolls;
+  const clientSeeds = room.dice.clientSeeds.map((s) => s.seed);
+  const result = Rules.roll(game, () => Dice.rollFor(room.dice.serverSeed, clientSeeds, counter));
+  room.dice.rolls += 1;
+  room.game = result.state;
+  Metrics.increment(metrics, 'ludo_rolls_total');
+  recordEvent(room, 'roll', {
+    playerId: player.id,
+    tokensOf,
+    counter,
+    roll: result.roll,
+    moves: result.moves,
+    passed: result.passed,
+    forfeited: result.forfeited,
+  });
+  // Inform players of the roll result and available moves
+  broadcast(room, {
+    type: 'roll_result',
+    playerId: player.id,
+    tokensOf,
+    counter,
+    roll: result.roll,
+    moves: result.moves,
+    previews: movePreviews(room.game),
+  });
+  if (result.passed) {
+    // Three sixes in a row or nothing to move: the turn has passed
+    announceTurn(room);
+  }
+  return null;
+}
+
+// Move one of the player's tokens by the pending roll and broadcast the outcome.
+// Returns an error code if the move is not allowed, otherwise null.
+function handleMove(room, player, tokenIndex) {
+  const game = room.game;
+  if (!game) return 'GAME_NOT_STARTED';
+  if (room.results) return 'GAME_OVER';
+  // Ensure it's current player's turn
+  if (turnPlayerId(room) !== player.id) return 'NOT_YOUR_TURN';
+  if (!game.currentRoll) return 'NOT_ROLLED';
+  // Validate that tokenIndex is an available move
+  if (!Rules.legalMoves(game).includes(tokenIndex)) return 'ILLEGAL_MOVE';
+  const result = Rules.applyMove(game, tokenIndex);
+  room.undoHistory.push({ game, movedBy: player.id, tokenIndex });
+  room.game = result.state;
+  Metrics.increment(metrics, 'ludo_moves_total');
+  // The moved token is the partner's when a finished player rolls for them
+  const owner = result.playerId;
+  recordEvent(room, 'move', {
+    playerId: owner,
+    movedBy: player.id,
+    tokenIndex,
+    roll: result.roll,
+    from: result.from,
+    to: result.to,
+    path: result.path,
+    captures: result.captures,
+  });
+  // Broadcast updated state
+  broadcast(room, {
+    type: 'state_update',
+    playerId: owner,
+    positions: positionsOf(room, owner),
+    move: { tokenIndex, roll: result.roll },
+    movedBy: player.id,
+    path: result.path,
+    captures: result.captures,
+    // Positions of everyone the move changed: the mover and any player it captured
+    state: Array.from(new Set([owner].concat(result.captures.map((c) => c.playerId)))).map((id) => ({
+      id,
+      positions: positionsOf(room, id),
+    })),
+    captured: result.captures.length > 0,
+    finished: result.finished,
+  });
+  if (result.playerFinished) {
+    // Finished players stay seated but drop out of the turn rotation
+    const place = room.game.finishOrder.indexOf(owner) + 1;
+    recordEvent(room, 'finish', { playerId: owner, place });
+    broadcast(room, { type: 'player_finished', playerId: owner, place });
+  }
+  if (Rules.isGameOver(room.game)) {
+    endGame(room);
+    return null;
+  }
+  // Notify players of the next turn
+  announceTurn(room);
+  return null;
+}
+
+// Forget the moves that could be taken back, dropping any request to take one back
+function clearUndo(room) {
+  room.undoHistory = [];
+  if (room.undoRequest) declineUndo(room, null);
+}
+
+// Drop the pending take-back, turned down by `declinedBy` or, when null, by nobody: the game
+// moved on or the request ran out of time
+function declineUndo(room, declinedBy) {
+  const { playerId } = room.undoRequest;
+  clearTimeout(room.undoTimer);
+  room.undoTimer = null;
+  room.undoRequest = null;
+  broadcast(room, { type: 'undo_declined', playerId, declinedBy });
+}
+
+// Ask to take back the player's last move. Bots and disconnected players don't get a say, so
+// with nobody to ask the move is taken back straight away.
+// Returns an error code if the request is not allowed right now, otherwise null.
+function requestUndo(room, player) {
+  if (!room.undoAllowed) return 'UNDO_DISABLED';
+  if (!room.game) return 'GAME_NOT_STARTED';
+  if (room.results) return 'GAME_OVER';
+  if (room.undoRequest) return 'UNDO_PENDING';
+  const last = room.undoHistory[room.undoHistory.length - 1];
+  if (!last || last.movedBy !== player.id) return 'NOTHING_TO_UNDO';
+  const waitingFor = room.players.filter((p) => p !== player && !p.bot && p.connected).map((p) => p.id);
+  if (waitingFor.length === 0) {
+    undoMove(room);
+    return null;
+  }
+  room.undoRequest = { playerId: player.id, waitingFor };
+  room.undoTimer = setTimeout(() => declineUndo(room, null), UNDO_TIMEOUT_MS);
+  broadcast(room, { type: 'undo_requested', playerId: player.id, waitingFor });
+  return null;
+}
+
+// Accept or decline the pending request to take a move back; it goes through once everyone
+// asked has accepted. Returns an error code if the player was not asked, otherwise null.
+function answerUndo(room, player, accept) {
+  const request = room.undoRequest;
+  if (!request || !request.waitingFor.includes(player.id)) return 'NO_UNDO_REQUEST';
+  if (!accept) {
+    declineUndo(room, player.id);
+    return null;
+  }
+  request.waitingFor = request.waitingFor.filter((id) => id !== player.id);
+  if (request.waitingFor.length === 0) undoMove(room);
+  return null;
+}
+
+// Put the game back as it was before the last move: positions (captured tokens included),
+// finishing order and the pending roll, with the turn and a fresh clock for whoever moved
+function undoMove(room) {
+  const last = room.undoHistory.pop();
+  clearTimeout(room.undoTimer);
+  room.undoTimer = null;
+  room.undoRequest = null;
+  room.game = last.game;
+  const state = room.game.players.map((p) => ({ id: p.id, positions: p.positions }));
+  recordEvent(room, 'undo', {
+    playerId: last.movedBy,
+    tokenIndex: last.tokenIndex,
+    roll: room.game.currentRoll,
+    positions: state,
+  });
+  startTurnClock(room);
+  broadcast(room, {
+    type: 'move_undone',
+    playerId: last.movedBy,
+    tokensOf: Rules.movingPlayer(room.game).id,
+    roll: room.game.currentRoll,
+    moves: Rules.legalMoves(room.game),
+    previews: movePreviews(room.game),
+    state,
+    finishOrder: room.game.finishOrder,
+    deadline: room.turnDeadline,
+    timeLeft: timeLeft(room),
+  });
+}
+
+// Queue the next action for a bot on turn: roll if it hasn't, otherwise pick a move
+function scheduleBotTurn(room) {
+  const player = turnPlayer(room);
+  if (!player || !player.bot || room.botTimer || Rules.isGameOver(room.game)) return;
+  room.botTimer = setTimeout(() => {
+    room.botTimer = null;
+    // The bot may have been removed, or the game ended, while we waited
+    if (turnPlayer(room) !== player) return;
+    // Give the table time to answer a take-back, UNDO_TIMEOUT_MS at most, before playing on
+    if (room.undoRequest) {
+      scheduleBotTurn(room);
+      return;
+    }
+    if (!room.game.currentRoll) {
+      handleRoll(room, player);
+    } else {
+      handleMove(room, player, Bots.chooseMove(room.game, player.bot));
+    }
+    scheduleBotTurn(room);
+  }, BOT_DELAY_MS);
+}
+
+// Remove a player from their room for good, keeping the turn on the right seat
+function removePlayer(room, player) {
+  const index = room.players.indexOf(player);
+  if (index === -1) return;
+  const previousTurn = turnPlayerId(room);
+  room.players.splice(index, 1);
+  if (room.game) {
+    room.game = Rules.removePlayer(room.game, player.id);
+    // Earlier game states still have the player in them
+    clearUndo(room);
+  }
+  recordEvent(room, 'leave', { playerId: player.id });
+  if (room.hostId === player.id) passHost(room);
+  // Once only bots (or nobody) are left, remove room
+  if (!room.players.some((p) => !p.bot)) {
+    closeRoom(room);
+    return;
+  }
+  // Inform other players
+  broadcast(room, playerListMessage(room));
+  if (!room.game || room.results) return;
+  // Whoever is left on their own has nobody to play against
+  if (Rules.isGameOver(room.game) || room.game.players.length < 2) {
+    endGame(room);
+  } else if (turnPlayerId(room) !== previousTurn) {
+    announceTurn(room);
+  }
+}
+
+// Keep a disconnected player's seat for the grace period so they can resume, then give it up.
+// Not coming back is walking out of the game.
+function holdSeat(room, player) {
+  player.ws = null;
+  player.connected = false;
+  player.disconnectTimer = setTimeout(() => {
+    player.disconnectTimer = null;
+    markDeparted(room, player);
+    removePlayer(room, player);
+  }, RECONNECT_GRACE_MS);
+}
+
+// Keep a player with an account who walks out of the game in progress, to rate them when it ends
+function markDeparted(room, player) {
+  if (!room.game || room.results || !seatAccount(player)) return;
+  const gamePlayer = room.game.players.find((p) => p.id === player.id);
+  room.departed.push({ playerId: player.id, accountId: player.accountId, captures: gamePlayer ? gamePlayer.captures : 0 });
+}
+
+// The host removed a player: tell them why, close their socket and give up their seat. They
+// cannot come back under their account, nor from their address if KICK_BANS_ADDRESS is on.
+function kickPlayer(room, player) {
+  recordEvent(room, 'kick', { playerId: player.id });
+  const address = KICK_BANS_ADDRESS ? player.address : null;
+  if (player.accountId || address) room.kicked.push({ accountId: player.accountId, address });
+  clearTimeout(player.disconnectTimer);
+  player.disconnectTimer = null;
+  const ws = player.ws;
+  // Detach first so the socket's close handler does not hold the seat for a reconnect
+  player.ws = null;
+  if (ws && ws.readyState === 1) {
+    ws.send(JSON.stringify({ type: 'kicked', message: 'The host removed you from the room' }));
+    ws.close();
+  }
+  removePlayer(room, player);
+}
+
+// Write the accounts file, logging rather than failing if the disk lets us down
+function saveAccountStore() {
+  try {
+    Accounts.saveAccounts(accountStore);
+  } catch (err) {
+    console.error('Could not save accounts:', err);
+  }
+}
+
+// Whether the host has removed this account, or this address, from the room before
+function wasKicked(room, account, address) {
+  return room.kicked.some((k) => (account && k.accountId === account.id) || (KICK_BANS_ADDRESS && address && k.address === address));
+}
+
+// A client's messages, from its socket or relayed from another instance, and the room it is in.
+// `ws` is the stand-in for its socket made by localRoute or remoteSocket. Logged-in players sit
+// down under their `account`; everyone else plays as a guest. `address` is where the client
+// connects from, if known.
+function handleConnection(ws, account, address = null) {
+  let currentRoom = null;
+  let currentPlayer = null;
+  let currentSpectator = null;
+  // When this connection recently sent chat or reactions, for rate limiting
+  const chatTimes = [];
+
+  ws.on('message', (msg) => {
+    let data;
+    try {
+      data = JSON.parse(msg);
+    } catch (err) {
+      sendError(ws, 'INVALID_MESSAGE', null, 'Messages must be JSON');
+      return;
+    }
+    // Every message must match its declared schema (see shared/protocol.js)
+    const check = Protocol.validateClientMessage(data);
+    Metrics.increment(metrics, 'ludo_messages_received_total', { type: check.ok ? data.type : 'invalid' });
+    if (!check.ok) {
+      sendError(ws, check.code, data && typeof data.type === 'string' ? data.type : null, check.message);
+      return;
+    }
+    if (check.spec.requires === 'player' && !currentPlayer) {
+      sendError(ws, currentSpectator ? 'NOT_A_PLAYER' : 'NOT_IN_ROOM', data.type);
+      return;
+    }
+    if (check.spec.requires === 'member' && !currentPlayer && !currentSpectator) {
+      sendError(ws, 'NOT_IN_ROOM', data.type);
+      return;
+    }
+    // The first message settles which protocol version this socket speaks
+    const protocol = Protocol.negotiateVersion(data.protocol);
+    if ((data.type === 'join' || data.type === 'resume') && protocol === null) {
+      sendError(ws, 'PROTOCOL_UNSUPPORTED', data.type);
+      return;
+    }
+    // Handle different message types
+    if (data.type === 'join' && (currentPlayer || currentSpectator)) {
+      sendError(ws, 'ALREADY_IN_ROOM', data.type);
+    }
+    else if (data.type === 'join' && data.mode !== 'quick' && !data.roomId) {
+      sendError(ws, 'INVALID_MESSAGE', data.type, 'roomId is required');
+    }
+    else if (data.type === 'join' && data.mode === 'spectate') {
+      // Watch an existing room without taking a seat
+      const room = rooms.get(data.roomId);
+      if (!room) {
+        sendError(ws, 'ROOM_NOT_FOUND', data.type);
+        return;
+      }
+      if (room.password && data.password !== room.password) {
+        sendError(ws, 'WRONG_PASSWORD', data.type, data.password ? undefined : 'This room needs a password');
+        return;
+      }
+      if (wasKicked(room, account, address)) {
+        sendError(ws, 'KICKED', data.type);
+        return;
+      }
+      if (room.spectators.length >= MAX_SPECTATORS) {
+        sendError(ws, 'ROOM_FULL', data.type, 'This room has no space for more spectators');
+        return;
+      }
+      const spectator = { id: makeId(), name: cleanName(data.name) || 'Spectator', ws };
+      room.spectators.push(spectator);
+      currentRoom = room;
+      currentSpectator = spectator;
+      ws.send(JSON.stringify({ type: 'spectating', spectatorId: spectator.id, state: roomSnapshot(room, null), protocol, seq: room.seq }));
+      broadcast(room, playerListMessage(room));
+    }
+    else if (data.type === 'join') {
+      const { name, color, rules } = data;
+      // Quick match picks (or opens) a public room instead of a named one
+      const room = data.mode === 'quick' ? quickMatchRoom(data.roomId) : getRoom(data.roomId);
+      if (!room) {
+        sendError(ws, 'SERVER_FULL', data.type);
+        return;
+      }
+      if (wasKicked(room, account, address)) {
+        sendError(ws, 'KICKED', data.type);
+        return;
+      }
+      // Check if game started
+      if (room.gameStarted) {
+        sendError(ws, 'GAME_STARTED', data.type, 'Game already started for this room; join as a spectator to watch');
+        return;
+      }
+      if (room.players.length >= seatCount(room)) {
+        sendError(ws, 'ROOM_FULL', data.type);
+        return;
+      }
+      if (room.locked) {
+        sendError(ws, 'ROOM_LOCKED', data.type);
+        return;
+      }
+      if (room.password && data.password !== room.password) {
+        sendError(ws, 'WRONG_PASSWORD', data.type, data.password ? undefined : 'This room needs a password');
+        return;
+      }
+      // One seat per account, so nobody can play (and rate) against themselves
+      if (account && room.players.some((p) => p.accountId === account.id)) {
+        sendError(ws, 'ALREADY_IN_ROOM', data.type, 'Your account already has a seat in this room');
+        return;
+      }
+      // Whoever creates the room picks the house rules (and so the board) and whether it is
+      // listed in the lobby
+      if (room.players.length === 0) {
+        if (rules) room.rules = Rules.normalizeRules(rules);
+        if (data.visibility) room.isPublic = data.visibility === 'public';
+        if (data.password && data.mode !== 'quick') room.password = data.password;
+      }
+      // Determine the color to assign. Always respect diagonal pairing for the second player.
+      const chosenColor = pickColor(room, color);
+      if (!chosenColor) {
+        sendError(ws, 'ROOM_FULL', data.type);
+        return;
+      }
+      const playerId = makeId();
+      const sessionToken = makeSessionToken();
+      const player = {
+        id: playerId,
+        name: account ? account.username : cleanName(name) || `Player ${room.players.length + 1}`,
+        color: chosenColor,
+        ws,
+        sessionToken,
+        accountId: account ? account.id : null,
+        // Where the player last connected from (see KICK_BANS_ADDRESS)
+        address,
+        connected: true,
+        disconnectTimer: null,
+        ready: false,
+        // Seed this player contributes to the dice, sent with 'ready'
+        clientSeed: null,
+        bot: null,
+        missedTurns: 0,
+        inactive: false,
+      };
+      // The first human to sit down hosts the room
+      if (!room.hostId) room.hostId = playerId;
+      room.players.push(player);
+      recordEvent(room, 'join', { playerId, name: player.name, color: chosenColor, bot: null });
+      currentRoom = room;
+      currentPlayer = player;
+      // Notify the player of their assigned color and id, plus the token needed to resume the seat
+      ws.send(
+        JSON.stringify({ type: 'joined', playerId, roomId: room.id, color: chosenColor, sessionToken, rules: room.rules, players: publicPlayers(room), dice: publicDice(room), protocol, seq: room.seq })
+      );
+      // Broadcast updated player list to others
+      broadcast(room, playerListMessage(room));
+    }
+    else if (data.type === 'resume') {
+      // Re-attach this socket to a seat held since the player's previous connection dropped
+      const { roomId, playerId, sessionToken } = data;
+      const room = rooms.get(roomId);
+      const player = room && room.players.find((p) => p.id === playerId);
+      if (!player || player.sessionToken !== sessionToken) {
+        ws.send(JSON.stringify({ type: 'resume_failed', message: 'Your seat is no longer available' }));
+        return;
+      }
+      if (player.disconnectTimer) {
+        clearTimeout(player.disconnectTimer);
+        player.disconnectTimer = null;
+      }
+      // A stale socket may still be open if the client noticed the drop before the server did
+      const previousWs = player.ws;
+      player.ws = ws;
+      player.address = address;
+      player.connected = true;
+      if (previousWs && previousWs !== ws) {
+        try {
+          previousWs.close();
+        } catch (err) {
+          console.error('Close error:', err);
+        }
+      }
+      currentRoom = room;
+      currentPlayer = player;
+      // Coming back counts as being active again
+      player.missedTurns = 0;
+      player.inactive = false;
+      ws.send(
+        JSON.stringify({ type: 'resumed', playerId: player.id, color: player.color, state: roomSnapshot(room, player), protocol, seq: room.seq })
+      );
+      broadcast(room, playerListMessage(room));
+    }
+    else if (data.type === 'ping') {
+      // Heartbeat ping from client; respond with pong implicitly via ws protocol
+      return;
+    }
+    else if (data.type === 'ready' && currentRoom && currentPlayer) {
+      if (currentRoom.gameStarted) {
+        sendError(ws, 'GAME_STARTED', data.type);
+        return;
+      }
+      currentPlayer.ready = true;
+      // Players pick their dice seed after seeing the server's commitment
+      currentPlayer.clientSeed = data.clientSeed || null;
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'set_rules' && currentRoom && currentPlayer) {
+      // Only the host may change the rules, and only before the game starts
+      if (currentRoom.gameStarted) {
+        sendError(ws, 'GAME_STARTED', data.type);
+        return;
+      }
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type, 'Only the host can change the rules');
+        return;
+      }
+      // The board is fixed when the room is created
+      currentRoom.rules = Rules.normalizeRules(Object.assign({}, data.rules, { board: currentRoom.rules.board }));
+      recordEvent(currentRoom, 'rules', { rules: currentRoom.rules });
+      // Everyone has to agree to the new rules by readying up again
+      currentRoom.players.forEach((p) => {
+        if (!p.bot) p.ready = false;
+      });
+      broadcast(currentRoom, { type: 'rules', rules: currentRoom.rules });
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'add_bot' && currentRoom && currentPlayer) {
+      // The host can fill empty seats with computer players before the game starts
+      if (currentRoom.gameStarted) {
+        sendError(ws, 'GAME_STARTED', data.type);
+        return;
+      }
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      if (currentRoom.players.length >= seatCount(currentRoom)) {
+        sendError(ws, 'ROOM_FULL', data.type);
+        return;
+      }
+      const difficulty = Bots.DIFFICULTIES.includes(data.difficulty) ? data.difficulty : 'random';
+      const botCount = currentRoom.players.filter((p) => p.bot).length;
+      const bot = {
+        id: makeId(),
+        name: `Bot ${botCount + 1} (${difficulty === 'heuristic' ? 'smart' : 'easy'})`,
+        color: pickColor(currentRoom),
+        ws: null,
+        sessionToken: null,
+        accountId: null,
+        connected: true,
+        disconnectTimer: null,
+        ready: true,
+        clientSeed: null,
+        bot: difficulty,
+        missedTurns: 0,
+        inactive: false,
+      };
+      currentRoom.players.push(bot);
+      recordEvent(currentRoom, 'join', { playerId: bot.id, name: bot.name, color: bot.color, bot: difficulty });
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'remove_bot' && currentRoom && currentPlayer) {
+      if (currentRoom.gameStarted) {
+        sendError(ws, 'GAME_STARTED', data.type);
+        return;
+      }
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      const bot = currentRoom.players.find((p) => p.id === data.playerId && p.bot);
+      if (!bot) {
+        sendError(ws, 'PLAYER_NOT_FOUND', data.type);
+        return;
+      }
+      removePlayer(currentRoom, bot);
+    }
+    else if (data.type === 'start' && currentRoom && currentPlayer) {
+      // Only the host may start, once all players are ready and there are at least 2 of them
+      if (currentRoom.gameStarted) {
+        sendError(ws, 'GAME_STARTED', data.type);
+        return;
+      }
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      if (currentRoom.players.length < 2) {
+        sendError(ws, 'NOT_ENOUGH_PLAYERS', data.type);
+        return;
+      }
+      const allReady = currentRoom.players.every((p) => p.ready);
+      if (!allReady) {
+        sendError(ws, 'PLAYERS_NOT_READY', data.type);
+        return;
+      }
+      // Every seat is taken in a team game, so each team has its two partners
+      if (currentRoom.rules.teams && currentRoom.players.length < seatCount(currentRoom)) {
+        sendError(ws, 'TEAMS_INCOMPLETE', data.type);
+        return;
+      }
+      currentRoom.gameStarted = true;
+      currentRoom.game = Rules.createGame(currentRoom.players, currentRoom.rules);
+      currentRoom.departed = [];
+      // Only the seeds clients picked themselves go into the dice. One the server made up for a bot
+      // or a seedless client, after seeing the others, could be chosen to steer the rolls.
+      currentRoom.dice.clientSeeds = currentRoom.players.filter((p) => p.clientSeed).map((p) => ({ playerId: p.id, seed: p.clientSeed }));
+      startTurnClock(currentRoom);
+      Metrics.increment(metrics, 'ludo_games_started_total');
+      recordEvent(currentRoom, 'start', {
+        rules: currentRoom.rules,
+        players: currentRoom.players.map((p) => ({ id: p.id, name: p.name, color: p.color, bot: p.bot })),
+        turnPlayerId: turnPlayerId(currentRoom),
+        dice: publicDice(currentRoom),
+      });
+      // Notify players that the game has started, under which rules, and whose turn it is (until when)
+      broadcast(currentRoom, {
+        type: 'game_started',
+        rules: currentRoom.rules,
+        turnPlayerId: turnPlayerId(currentRoom),
+        deadline: currentRoom.turnDeadline,
+        timeLeft: timeLeft(currentRoom),
+        dice: publicDice(currentRoom),
+        state: currentRoom.game.players.map((p) => ({ id: p.id, positions: p.positions }))
+      });
+      scheduleBotTurn(currentRoom);
+    }
+    else if (data.type === 'rematch' && currentRoom && currentPlayer) {
+      // Once the game is over the host can start another one with the same seats
+      if (!currentRoom.results) {
+        sendError(ws, 'GAME_NOT_OVER', data.type);
+        return;
+      }
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      resetRoom(currentRoom);
+    }
+    else if (data.type === 'kick' && currentRoom && currentPlayer) {
+      // The host can remove anyone else from the room, bots included
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      const target = currentRoom.players.find((p) => p.id === data.playerId);
+      if (!target) {
+        sendError(ws, 'PLAYER_NOT_FOUND', data.type);
+        return;
+      }
+      if (target === currentPlayer) {
+        sendError(ws, 'INVALID_MESSAGE', data.type, 'You cannot kick yourself');
+        return;
+      }
+      kickPlayer(currentRoom, target);
+    }
+    else if (data.type === 'transfer_host' && currentRoom && currentPlayer) {
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      const target = currentRoom.players.find((p) => p.id === data.playerId);
+      if (!target) {
+        sendError(ws, 'PLAYER_NOT_FOUND', data.type);
+        return;
+      }
+      if (target.bot) {
+        sendError(ws, 'INVALID_MESSAGE', data.type, 'A bot cannot host the room');
+        return;
+      }
+      currentRoom.hostId = target.id;
+      recordEvent(currentRoom, 'host', { playerId: target.id });
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'lock_room' && currentRoom && currentPlayer) {
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      currentRoom.locked = data.locked;
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'set_undo' && currentRoom && currentPlayer) {
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      currentRoom.undoAllowed = data.allowed;
+      if (!data.allowed) clearUndo(currentRoom);
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'set_password' && currentRoom && currentPlayer) {
+      // An empty password opens the room again; players already inside are not asked for it
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      currentRoom.password = data.password || null;
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'set_color' && currentRoom && currentPlayer) {
+      // Before the game the host can move a player to another color, swapping with whoever holds it
+      if (currentRoom.gameStarted) {
+        sendError(ws, 'GAME_STARTED', data.type);
+        return;
+      }
+      if (currentRoom.hostId !== currentPlayer.id) {
+        sendError(ws, 'NOT_HOST', data.type);
+        return;
+      }
+      const target = currentRoom.players.find((p) => p.id === data.playerId);
+      if (!target) {
+        sendError(ws, 'PLAYER_NOT_FOUND', data.type);
+        return;
+      }
+      if (!Rules.boardFor(currentRoom.rules).colors.includes(data.color)) {
+        sendError(ws, 'INVALID_MESSAGE', data.type, 'That color is not on this board');
+        return;
+      }
+      const holder = currentRoom.players.find((p) => p.color === data.color);
+      if (holder) holder.color = target.color;
+      target.color = data.color;
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'choose_team' && currentRoom && currentPlayer) {
+      // Players pick their team before the game by taking one of its two colors
+      if (currentRoom.gameStarted) {
+        sendError(ws, 'GAME_STARTED', data.type);
+        return;
+      }
+      if (!currentRoom.rules.teams) {
+        sendError(ws, 'NOT_TEAM_GAME', data.type);
+        return;
+      }
+      if (Rules.teamOf(currentPlayer.color) === data.team) return;
+      const taken = currentRoom.players.map((p) => p.color);
+      const color = Rules.TEAMS[data.team].find((c) => !taken.includes(c));
+      if (!color) {
+        sendError(ws, 'TEAM_FULL', data.type);
+        return;
+      }
+      currentPlayer.color = color;
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+    else if (data.type === 'sync' && currentRoom) {
+      // A client that missed a message starts again from the room as it is now
+      ws.send(JSON.stringify({ type: 'sync', seq: currentRoom.seq, state: roomSnapshot(currentRoom, currentPlayer) }));
+    }
+    else if (data.type === 'chat' && currentRoom) {
+      // Players and spectators talk to the whole room
+      const text = data.text.trim();
+      if (!text) {
+        sendError(ws, 'INVALID_MESSAGE', data.type, 'Chat messages must not be empty');
+        return;
+      }
+      if (!withinChatLimit(chatTimes)) {
+        sendError(ws, 'RATE_LIMITED', data.type);
+        return;
+      }
+      const sender = currentPlayer || currentSpectator;
+      broadcast(currentRoom, {
+        type: 'chat',
+        senderId: sender.id,
+        name: sender.name,
+        color: currentPlayer ? currentPlayer.color : null,
+        text,
+        time: Date.now(),
+      });
+    }
+    else if (data.type === 'react' && currentRoom && currentPlayer) {
+      // Quick reactions pop up over the sender's home area
+      if (!withinChatLimit(chatTimes)) {
+        sendError(ws, 'RATE_LIMITED', data.type);
+        return;
+      }
+      broadcast(currentRoom, { type: 'reaction', playerId: currentPlayer.id, reaction: data.reaction });
+    }
+    else if (data.type === 'active' && currentRoom && currentPlayer) {
+      // An inactive player is back at the table and wants their turns again
+      markActive(currentRoom, currentPlayer);
+    }
+    else if (data.type === 'roll' && currentRoom && currentPlayer) {
+      markActive(currentRoom, currentPlayer);
+      const error = handleRoll(currentRoom, currentPlayer);
+      if (error) sendError(ws, error, data.type);
+    }
+    else if (data.type === 'move' && currentRoom && currentPlayer) {
+      markActive(currentRoom, currentPlayer);
+      const error = handleMove(currentRoom, currentPlayer, data.tokenIndex);
+      if (error) sendError(ws, error, data.type);
+    }
+    else if (data.type === 'request_undo' && currentRoom && currentPlayer) {
+      const error = requestUndo(currentRoom, currentPlayer);
+      if (error) sendError(ws, error, data.type);
+    }
+    else if (data.type === 'answer_undo' && currentRoom && currentPlayer) {
+      const error = answerUndo(currentRoom, currentPlayer, data.accept);
+      if (error) sendError(ws, error, data.type);
+    }
+  });
+
+  ws.on('close', () => {
+    if (currentRoom && currentSpectator) {
+      currentRoom.spectators = currentRoom.spectators.filter((s) => s !== currentSpectator);
+      broadcast(currentRoom, playerListMessage(currentRoom));
+      return;
+    }
+    // Hold the seat for a grace period so the player can resume, then remove them from the room
+    if (currentRoom && currentPlayer) {
+      // The seat has already been resumed on a newer socket
+      if (currentPlayer.ws !== ws) return;
+      holdSeat(currentRoom, currentPlayer);
+      // Inform other players that the seat is waiting for a reconnect
+      broadcast(currentRoom, playerListMessage(currentRoom));
+    }
+  });
+}
+
+// Send a message to another instance about a client relayed between us, or a room it runs
+// (see handleRelay)
+function relay(instanceId, message) {
+  const text = JSON.stringify(Object.assign({ from: INSTANCE_ID }, message));
+  backend.publish(instanceChannel(instanceId), text).catch(logBackendError);
+}
+
+// Stand-in socket for a client connected to another instance: what the connection handler
+// sends it goes back over the backend, for that instance to pass on
+function remoteSocket(instanceId, connId) {
+  const socket = new EventEmitter();
+  socket.readyState = 1;
+  socket.send = (text) => relay(instanceId, { kind: 'send', connId, text });
+  socket.close = () => {
+    if (socket.readyState !== 1) return;
+    relay(instanceId, { kind: 'close', connId });
+    endRemoteSocket(connId);
+  };
+  return socket;
+}
+
+// A relayed client has gone; like a WebSocket, its stand-in says so once it is closed
+function endRemoteSocket(connId) {
+  const socket = remoteSockets.get(connId);
+  if (!socket) return;
+  remoteSockets.delete(connId);
+  socket.readyState = 3;
+  setImmediate(() => socket.emit('close'));
+}
+
+// Messages between instances about relayed clients. The room's owner gets 'open' for a new
+// client, each 'message' it sends and 'disconnect' when it goes; the instance the client is
+// connected to gets 'send' for each message to it and 'close' to disconnect it. The owner also
+// gets 'close_room' when an administrator closes the room on another instance.
+function handleRelay(text) {
+  const message = JSON.parse(text);
+  const client = relayedClients.get(message.connId);
+  if (message.kind === 'open') {
+    const socket = remoteSocket(message.from, message.connId);
+    remoteSockets.set(message.connId, socket);
+    handleConnection(socket, (message.accountId && accountStore.accounts[message.accountId]) || null, message.address);
+  } else if (message.kind === 'message') {
+    const socket = remoteSockets.get(message.connId);
+    if (socket) socket.emit('message', message.text);
+  } else if (message.kind === 'disconnect') {
+    endRemoteSocket(message.connId);
+  } else if (message.kind === 'send' && client && client.ws.readyState === 1) {
+    noteEntry(client.route, message.text);
+    client.ws.send(message.text);
+  } else if (message.kind === 'close' && client) {
+    client.ws.close();
+  } else if (message.kind === 'close_room' && rooms.has(message.roomId)) {
+    closeRoomByAdmin(rooms.get(message.roomId));
+  }
+}
+
+// Disconnect clients here whose room's owner has gone away, shut down or lost its claim. They
+// reconnect and resume, and whichever instance they reach takes the room over.
+function checkRelayedOwners() {
+  relayedClients.forEach((client) => {
+    backend.holder(ownerKey(client.roomId)).then((owner) => {
+      if (owner !== client.owner) client.ws.close();
+    }).catch(logBackendError);
+  });
+}
+
+// Replies that put a client in a room
+const ENTRY_REPLIES = ['joined', 'spectating', 'resumed'];
+
+// Note on a route when a reply sent through it puts the client in a room
+function noteEntry(route, text) {
+  if (!route.entered && ENTRY_REPLIES.includes(messageType(text))) route.entered = true;
+}
+
+// Routes carry a client's messages to the instance that owns its room (see routeConnection):
+// `owner` is that instance, `roomId` the room it was routed for and `entered` whether the client
+// has got into a room that way.
+
+// Hand a client's messages to the connection handler here
+function localRoute(ws, account, address) {
+  const socket = new EventEmitter();
+  const route = {
+    owner: INSTANCE_ID,
+    roomId: null,
+    entered: false,
+    deliver: (msg) => socket.emit('message', msg),
+    disconnect: () => socket.emit('close'),
+  };
+  Object.defineProperty(socket, 'readyState', { get: () => ws.readyState });
+  socket.send = (text) => {
+    noteEntry(route, text);
+    ws.send(text);
+  };
+  socket.close = () => ws.close();
+  handleConnection(socket, account, address);
+  return route;
+}
+
+// Pass a client's messages on to the instance that owns its room
+function relayedRoute(ws, account, address, owner, roomId) {
+  const connId = crypto.randomBytes(8).toString('hex');
+  const route = {
+    owner,
+    roomId,
+    entered: false,
+    deliver: (msg) => relay(owner, { kind: 'message', connId, text: String(msg) }),
+    disconnect: () => {
+      relayedClients.delete(connId);
+      relay(owner, { kind: 'disconnect', connId });
+    },
+  };
+  relayedClients.set(connId, { ws, owner, roomId, route });
+  relay(owner, { kind: 'open', connId, accountId: account ? account.id : null, address });
+  return route;
+}
+
+// Id of the room a valid join or resume asks to enter, with one picked for quick match, or
+// null if there is none
+function requestedRoom(data) {
+  if (!Protocol.validateClientMessage(data).ok) return Promise.resolve(null);
+  if (data.type === 'join' && data.mode === 'quick') return pickQuickMatchRoom();
+  return Promise.resolve(data.roomId || null);
+}
+
+// The type a client message says it is, or null if it is not even that far valid
+function messageType(msg) {
+  try {
+    const data = JSON.parse(msg);
+    return data && typeof data.type === 'string' ? data.type : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Whether a connection's token bucket holds a token for another message; if so it is used.
+// The bucket holds up to MESSAGE_BURST tokens and refills at MESSAGE_RATE a second.
+function takeMessageToken(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(MESSAGE_BURST, bucket.tokens + ((now - bucket.refilledAt) / 1000) * MESSAGE_RATE);
+  bucket.refilledAt = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+// Connect a client to the instance that owns the room it enters. Until it asks to join or resume
+// one, this instance answers it; from then on its messages go to the room's owner, here or
+// relayed over the backend. Each join or resume is routed afresh until one gets the client in. Messages beyond the connection's rate are dropped here. `address` is
+// the client's, as in handleConnection.
+function routeConnection(ws, account, address = null) {
+  let route = localRoute(ws, account, address);
+  // `warned` holds the types of message dropped since the bucket ran dry
+  const bucket = { tokens: MESSAGE_BURST, refilledAt: Date.now(), warned: new Set() };
+  // Each message waits for the ones before it, so none overtakes another while a room's owner
+  // is looked up
+  let queue = Promise.resolve();
+
+  function receive(msg) {
+    let data = null;
+    try {
+      data = JSON.parse(msg);
+    } catch (err) {
+      // The connection handler tells the client
+    }
+    if (route.entered || !data || (data.type !== 'join' && data.type !== 'resume')) {
+      route.deliver(msg);
+      return null;
+    }
+    return requestedRoom(data).then((roomId) => {
+      if (!roomId) {
+        route.deliver(msg);
+        return null;
+      }
+      return roomOwner(roomId).then((owner) => {
+        // Nobody is in a room yet, so the last route can go
+        if (owner !== route.owner || (owner !== INSTANCE_ID && roomId !== route.roomId)) {
+          route.disconnect();
+          route = owner === INSTANCE_ID ? localRoute(ws, account, address) : relayedRoute(ws, account, address, owner, roomId);
+        }
+        // Quick match goes to the room that was picked
+        route.deliver(data.mode === 'quick' ? JSON.stringify(Object.assign({}, data, { roomId })) : msg);
+      });
+    });
+  }
+
+  ws.on('message', (msg) => {
+    if (!takeMessageToken(bucket)) {
+      // Said once for each type of message dropped while the bucket is dry, so the replies are no
+      // flood either and a client waiting on an answer (to 'sync', say) learns it is not coming
+      const type = messageType(msg);
+      if (!bucket.warned.has(type)) sendError(ws, 'RATE_LIMITED', type);
+      bucket.warned.add(type);
+      return;
+    }
+    bucket.warned.clear();
+    queue = queue.then(() => receive(msg)).catch((err) => {
+      console.error('Could not route a client message:', err);
+      ws.close();
+    });
+  });
+  ws.on('close', () => {
+    queue = queue.then(() => route.disconnect());
+  });
+}
+
+// Admin notices reach every instance, which passes them on to the rooms it runs
+function broadcastNotice(message) {
+  rooms.forEach((room) => broadcast(room, { type: 'notice', message }));
+}
+
+// Intervals started by start(), cleared by stop()
+let housekeeping = [];
+
+// Run rooms through `connected`, the backend shared with other instances (see pubsub.js), seating
+// logged-in players from `store` (see accounts.js): listen to the other instances, bring back the
+// rooms saved before the last shutdown and keep them tidy. Resolves once clients can connect.
+function start(connected, store) {
+  backend = connected;
+  accountStore = store;
+  return Promise.all([
+    backend.subscribe(instanceChannel(INSTANCE_ID), handleRelay),
+    backend.subscribe(NOTICE_CHANNEL, broadcastNotice),
+  ]).then(() => {
+    // Bring back the rooms saved before the last shutdown, unless another instance has them
+    RoomStore.loadRooms(ROOM_STORE_DIR, ROOM_TTL_MS).forEach((data) => {
+      claimRoom(data.id).then((owner) => {
+        if (owner === INSTANCE_ID && !rooms.has(data.id)) adoptRoom(data);
+      }).catch(logBackendError);
+    });
+    housekeeping = [
+      setInterval(expireRooms, Math.min(ROOM_TTL_MS, IDLE_ROOM_TTL_MS, 60 * 1000)),
+      setInterval(renewOwnership, OWNER_TTL_MS / 3),
+      setInterval(checkRelayedOwners, OWNER_TTL_MS / 3),
+    ];
+    housekeeping.forEach((interval) => interval.unref());
+  });
+}
+
+// Stop the housekeeping and every room's clocks, leaving the rooms as they are
+function stop() {
+  housekeeping.forEach((interval) => clearInterval(interval));
+  housekeeping = [];
+  rooms.forEach((room) => {
+    stopRoomTimers(room);
+    room.players.forEach((p) => clearTimeout(p.disconnectTimer));
+  });
+}
+
+// Save what is pending and let go of every room, so other instances can take them over
+// straight away
+function releaseRooms() {
+  saveRooms();
+  return Promise.all(Array.from(rooms.keys()).map((roomId) => backend.release(ownerKey(roomId), INSTANCE_ID)));
+}
+
+module.exports = {
+  INSTANCE_ID,
+  NOTICE_CHANNEL,
+  rooms,
+  archivedLogs,
+  metrics,
+  start,
+  stop,
+  releaseRooms,
+  renewOwnership,
+  routeConnection,
+  handleConnection,
+  sendError,
+  saveAccountStore,
+  logBackendError,
+  listLobby,
+  findRoom,
+  listRooms,
+  adminCloseRoom,
+  gameLog,
+  roomState,
+  publicPlayers,
+  publicDice,
+  savedRoom,
+  turnPlayerId,
+  cleanName,
+  takeMessageToken,
+};
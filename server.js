@@ -1,386 +1,360 @@
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const expressWs = require('express-ws');
+const Accounts = require('./accounts');
+const Metrics = require('./metrics');
+const Rooms = require('./rooms');
+const PubSub = require('./pubsub');
 
 const app = express();
-expressWs(app);
+// Frames larger than this many bytes close the connection
+const wsServer = expressWs(app, null, { wsOptions: { maxPayload: Number(process.env.MAX_MESSAGE_BYTES) || 4096 } }).getWss();
+// Behind a load balancer, client addresses come from X-Forwarded-For. TRUST_PROXY is Express's
+// "trust proxy" setting: the number of proxies in front of the server, or their addresses.
+if (process.env.TRUST_PROXY) app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
 // Serve static files from the public directory
 app.use(express.static('public'));
+// The rules engine and board geometry are shared with the browser
+app.use('/shared', express.static('shared'));
+app.use(express.json({ limit: '10kb' }));
 
-// In-memory storage for game rooms
-const rooms = new Map();
+// Open connections allowed from one address
+const MAX_CONNECTIONS_PER_IP = Number(process.env.MAX_CONNECTIONS_PER_IP) || 20;
+const connectionsByIp = new Map();
 
-// Safe squares on the main track (global board indices)
-const SAFE_INDICES = [0, 8, 13, 21, 26, 34, 39, 47];
+// Player accounts and their login sessions (see accounts.js)
+const accountStore = Accounts.loadAccounts(process.env.ACCOUNTS_FILE || path.join(__dirname, 'data', 'accounts.json'));
+// Cookie holding a logged-in browser's session token
+const SESSION_COOKIE = 'ludo_session';
+// Register and login attempts allowed from one address per window, against password guessing
+const ACCOUNT_RATE_LIMIT = Number(process.env.ACCOUNT_RATE_LIMIT) || 10;
+const ACCOUNT_RATE_WINDOW_MS = Number(process.env.ACCOUNT_RATE_WINDOW_MS) || 60000;
+// Times of the attempts within the window, by address
+const accountAttemptsByIp = new Map();
 
-// Starting offset for each color on the main track
-const COLOR_START = {
-  red: 0,
-  green: 13,
-  yellow: 26,
-  blue: 39,
-};
+// Bearer token for the /admin routes, which are switched off when it is not set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
 
-// Utility to generate a random unique id for a new player
-function makeId() {
-  return Math.random().toString(36).substr(2, 9);
+const startedAt = Date.now();
+
+// Rooms are shared with other server instances through Redis when REDIS_URL is set (see
+// connectBackend and README.md), otherwise each instance keeps them to itself
+const REDIS_URL = process.env.REDIS_URL || null;
+let backend = null;
+
+// Session token sent with a request: the login cookie from browsers, or a `token` query
+// parameter from other clients
+function requestSessionToken(req) {
+  const cookies = (req.headers.cookie || '').split(';').map((c) => c.trim().split('='));
+  const cookie = cookies.find(([name]) => name === SESSION_COOKIE);
+  return cookie ? decodeURIComponent(cookie[1] || '') : (req.query.token || null);
 }
 
-// Create a new game room
-function createRoom(roomId) {
-  return {
-    id: roomId,
-    players: [],
-    turnIndex: 0,
-    currentRoll: 0,
-    consecutiveSixes: 0,
-    gameStarted: false,
-  };
+// The logged-in account behind a request, or null for guests
+function requestAccount(req) {
+  return Accounts.sessionAccount(accountStore, requestSessionToken(req));
+}
+
+// Log the account in: set the session cookie and send the profile (and the token itself, for
+// clients that pass it on the WebSocket URL instead)
+function startSession(res, account, status) {
+  const token = Accounts.createSession(accountStore, account);
+  Rooms.saveAccountStore();
+  res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'lax', maxAge: Accounts.SESSION_TTL_MS });
+  res.status(status).json({ account: Accounts.publicProfile(account), token });
 }
 
-// Get or create a room
-function getRoom(roomId) {
-  if (!rooms.has(roomId)) {
-    rooms.set(roomId, createRoom(roomId));
+// Turn away register and login attempts beyond the limit for the client's address
+function limitAccountAttempts(req, res, next) {
+  const now = Date.now();
+  const times = (accountAttemptsByIp.get(req.ip) || []).filter((time) => time > now - ACCOUNT_RATE_WINDOW_MS);
+  accountAttemptsByIp.set(req.ip, times);
+  if (times.length >= ACCOUNT_RATE_LIMIT) {
+    res.set('Retry-After', String(Math.ceil((times[0] + ACCOUNT_RATE_WINDOW_MS - now) / 1000)));
+    res.status(429).json({ error: 'Too many attempts, try again in a minute' });
+    return;
   }
-  return rooms.get(roomId);
+  times.push(now);
+  next();
 }
 
-// Broadcast a message to all players in a room
-function broadcast(room, data) {
-  const message = JSON.stringify(data);
-  room.players.forEach((player) => {
-    if (player.ws && player.ws.readyState === 1) {
-      try {
-        player.ws.send(message);
-      } catch (err) {
-        console.error('Send error:', err);
-      }
-    }
+// Forget addresses that have made no attempt within the window
+setInterval(() => {
+  const cutoff = Date.now() - ACCOUNT_RATE_WINDOW_MS;
+  accountAttemptsByIp.forEach((times, ip) => {
+    if (times.length === 0 || times[times.length - 1] <= cutoff) accountAttemptsByIp.delete(ip);
   });
-}
+}, ACCOUNT_RATE_WINDOW_MS).unref();
 
-// Compute the global board index for a player's token position
-function computeGlobalIndex(color, pos) {
-  if (pos < 0) return -1; // home
-  if (pos <= 51) {
-    // Main track
-    const start = COLOR_START[color];
-    return (start + pos) % 52;
-  } else {
-    // Final path positions are offset to avoid collisions with main track
-    // We offset final path indices by 100 + color-specific offset so they never conflict with others
-    const colorOffset = { red: 0, green: 10, yellow: 20, blue: 30 };
-    return 100 + colorOffset[color] + (pos - 52);
-  }
+function accountError(res, err) {
+  console.error('Account request failed:', err);
+  res.status(500).json({ error: 'Something went wrong, please try again' });
 }
 
-// Determine possible moves for a player given a roll
-function computeMovableTokens(room, player, roll) {
-  const moves = [];
-  const positions = player.positions;
-  for (let i = 0; i < positions.length; i++) {
-    const pos = positions[i];
-    if (pos === -1) {
-      // At home; can only move out on a six
-      if (roll === 6) {
-        // Starting position always available
-        moves.push(i);
-      }
-      continue;
-    }
-    let newPos = pos + roll;
-    if (pos < 52) {
-      // Currently on main track
-      if (newPos <= 51) {
-        moves.push(i);
-      } else {
-        // entering final path
-        const diff = newPos - 51; // how many steps into final path
-        if (diff <= 6) {
-          moves.push(i);
-        }
-      }
-    } else {
-      // Currently on final path (52..57)
-      if (newPos <= 57) {
-        moves.push(i);
-      }
+app.post('/accounts/register', limitAccountAttempts, (req, res) => {
+  const { username, password } = req.body || {};
+  Accounts.register(accountStore, username, password).then((result) => {
+    if (result.error) {
+      res.status(400).json({ error: result.error });
+      return;
     }
-  }
-  return moves;
-}
+    startSession(res, result.account, 201);
+  }).catch((err) => accountError(res, err));
+});
 
-// Advance the turn to the next active player
-function nextTurn(room) {
-  if (room.players.length === 0) return;
-  // Advance turn index skipping finished players
-  const startIndex = room.turnIndex;
-  let idx = (room.turnIndex + 1) % room.players.length;
-  let iterations = 0;
-  while (iterations < room.players.length) {
-    const p = room.players[idx];
-    // A player is considered active if not all tokens are finished
-    const finishedCount = p.positions.filter((pos) => pos === 57).length;
-    if (finishedCount < 4) {
-      room.turnIndex = idx;
+app.post('/accounts/login', limitAccountAttempts, (req, res) => {
+  const { username, password } = req.body || {};
+  Accounts.checkPassword(accountStore, username, password).then((account) => {
+    if (!account) {
+      res.status(401).json({ error: 'Wrong username or password' });
       return;
     }
-    idx = (idx + 1) % room.players.length;
-    iterations++;
+    startSession(res, account, 200);
+  }).catch((err) => accountError(res, err));
+});
+
+app.post('/accounts/logout', (req, res) => {
+  const token = requestSessionToken(req);
+  if (token) {
+    Accounts.endSession(accountStore, token);
+    Rooms.saveAccountStore();
   }
-  // All players finished; keep index
-}
+  res.clearCookie(SESSION_COOKIE);
+  res.status(204).end();
+});
 
-// Handle a move for a given token index
-function performMove(room, player, tokenIndex, roll) {
-  const pos = player.positions[tokenIndex];
-  let newPos;
-  let captured = false;
-  if (pos === -1) {
-    // Move out of home to starting cell
-    newPos = 0;
-  } else {
-    newPos = pos + roll;
-    if (pos < 52 && newPos > 51) {
-      // entering final path
-      const diff = newPos - 51; // steps into final path
-      newPos = 51 + diff;
-    }
+// The profile of whoever is logged in on this browser
+app.get('/accounts/me', (req, res) => {
+  const account = requestAccount(req);
+  if (!account) {
+    res.status(401).json({ error: 'Not logged in' });
+    return;
   }
-  // Check capturing: if moving on main track (newPos <= 51)
-  if (newPos <= 51) {
-    const targetGlobal = computeGlobalIndex(player.color, newPos);
-    room.players.forEach((opponent) => {
-      if (opponent.id !== player.id) {
-        opponent.positions.forEach((oppPos, idx) => {
-          // Only capture opponent tokens on main track
-          if (oppPos >= 0 && oppPos <= 51) {
-            const oppGlobal = computeGlobalIndex(opponent.color, oppPos);
-            if (oppGlobal === targetGlobal && !SAFE_INDICES.includes(targetGlobal)) {
-              // Capture: send opponent token back to home
-              opponent.positions[idx] = -1;
-              captured = true;
-            }
-          }
-        });
-      }
-    });
+  res.json({ account: Accounts.publicProfile(account) });
+});
+
+// Anyone's public profile, shown by profile.html
+app.get('/players/:username', (req, res) => {
+  const account = Accounts.findByUsername(accountStore, req.params.username);
+  if (!account) {
+    res.status(404).json({ error: 'No such player' });
+    return;
   }
-  // Update player's token position
-  player.positions[tokenIndex] = newPos;
-  // Check for finishing: if reached final cell (57)
-  const finishedNow = newPos === 57;
-  return { captured, finishedNow };
-}
+  res.json({ account: Accounts.publicProfile(account) });
+});
 
-// WebSocket endpoint for realtime game communication
-app.ws('/ws', (ws, req) => {
-  let currentRoom = null;
-  let currentPlayer = null;
-
-  ws.on('message', (msg) => {
-    let data;
-    try {
-      data = JSON.parse(msg);
-    } catch (err) {
-      console.error('Invalid message:', msg);
+// Public rooms for the lobby, on every instance: waiting rooms first, fullest first
+app.get('/rooms', (req, res) => {
+  Rooms.listLobby().then((open) => {
+    open.sort((a, b) => Number(a.started) - Number(b.started) || b.players - a.players);
+    res.json({ rooms: open });
+  }).catch((err) => {
+    Rooms.logBackendError(err);
+    res.status(503).json({ error: 'The room list is not available right now' });
+  });
+});
+
+// Download the event log of a room, including recently closed ones, for the replay viewer.
+// Rooms another instance runs are read from their saved form.
+app.get('/rooms/:id/log', (req, res) => {
+  const room = Rooms.rooms.get(req.params.id);
+  const local = room ? Rooms.gameLog(room) : Rooms.archivedLogs.get(req.params.id);
+  const found = local ? Promise.resolve(local) : backend.getField('rooms', req.params.id).then((saved) => saved && Rooms.gameLog(JSON.parse(saved)));
+  found.then((log) => {
+    if (!log) {
+      res.status(404).json({ error: 'Room not found' });
       return;
     }
-    // Handle different message types
-    if (data.type === 'join') {
-      const { roomId, name, color } = data;
-      const room = getRoom(roomId);
-      // Check if game started
-      if (room.gameStarted) {
-        ws.send(
-          JSON.stringify({ type: 'error', message: 'Game already started for this room' })
-        );
-        return;
-      }
-      // Determine the color to assign. Always respect diagonal pairing for the second player.
-      // Track colors already taken
-      const takenColors = room.players.map((p) => p.color);
-      let chosenColor = color;
-      // Mapping of diagonal opposite colours on a classic Ludo board. If a second player joins,
-      // they should be assigned the opposite colour to the first player. Red ↔ Yellow, Green ↔ Blue.
-      const diagOpposite = { red: 'yellow', yellow: 'red', green: 'blue', blue: 'green' };
-      if (room.players.length === 1) {
-        // Second player: force the opposite colour of the first player's colour
-        const firstColour = room.players[0].color;
-        const opposite = diagOpposite[firstColour];
-        // Only assign if not already taken (shouldn't be), otherwise fallback to first available
-        if (!takenColors.includes(opposite)) {
-          chosenColor = opposite;
-        }
-      }
-      // For subsequent players or if no colour specified, choose the first available colour
-      if (!chosenColor || takenColors.includes(chosenColor)) {
-        const available = ['red', 'green', 'yellow', 'blue'].find((c) => !takenColors.includes(c));
-        chosenColor = available;
-      }
-      const playerId = makeId();
-      const player = {
-        id: playerId,
-        name: name || `Player ${room.players.length + 1}`,
-        color: chosenColor,
-        ws,
-        ready: false,
-        positions: [-1, -1, -1, -1],
-      };
-      room.players.push(player);
-      currentRoom = room;
-      currentPlayer = player;
-      // Notify the player of their assigned color and id
-      ws.send(
-        JSON.stringify({ type: 'joined', playerId, color: chosenColor, players: room.players.map((p) => ({ id: p.id, name: p.name, color: p.color, ready: p.ready })) })
-      );
-      // Broadcast updated player list to others
-      broadcast(room, {
-        type: 'player_list',
-        players: room.players.map((p) => ({ id: p.id, name: p.name, color: p.color, ready: p.ready })),
-      });
+    if (req.query.download !== undefined) {
+      res.attachment(`ludo-${req.params.id}.json`);
     }
-    else if (data.type === 'ping') {
-      // Heartbeat ping from client; respond with pong implicitly via ws protocol
+    res.json(log);
+  }).catch((err) => {
+    Rooms.logBackendError(err);
+    res.status(503).json({ error: 'The log is not available right now' });
+  });
+});
+
+// For load balancers and orchestrators: the server is up and answering
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', instance: Rooms.INSTANCE_ID, uptime: Math.floor((Date.now() - startedAt) / 1000), rooms: Rooms.rooms.size });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  Metrics.set(Rooms.metrics, 'ludo_uptime_seconds', {}, Math.floor((Date.now() - startedAt) / 1000));
+  Metrics.set(Rooms.metrics, 'ludo_open_sockets', {}, wsServer.clients.size);
+  Metrics.clear(Rooms.metrics, 'ludo_rooms');
+  ['lobby', 'playing', 'finished'].forEach((state) => Metrics.set(Rooms.metrics, 'ludo_rooms', { state }, 0));
+  Rooms.rooms.forEach((room) => Metrics.increment(Rooms.metrics, 'ludo_rooms', { state: Rooms.roomState(room) }));
+  res.type('text/plain; version=0.0.4').send(Metrics.render(Rooms.metrics));
+});
+
+// Only requests carrying the admin token get through. Both sides are hashed so the comparison
+// takes the same time whatever the token's length.
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: 'The admin API is not enabled' });
+    return;
+  }
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const hash = (text) => crypto.createHash('sha256').update(text).digest();
+  if (!match || !crypto.timingSafeEqual(hash(match[1]), hash(ADMIN_TOKEN))) {
+    res.status(401).json({ error: 'A valid admin token is required' });
+    return;
+  }
+  next();
+}
+
+// How a room appears in the admin room list, with the instance running it. Who is connected,
+// and who is watching, is only known for rooms this instance runs.
+function adminRoomEntry(room, owner) {
+  const here = owner === Rooms.INSTANCE_ID;
+  return {
+    id: room.id,
+    instance: owner,
+    state: Rooms.roomState(room),
+    isPublic: room.isPublic,
+    locked: room.locked,
+    hasPassword: Boolean(room.password),
+    hostId: room.hostId,
+    createdAt: room.createdAt,
+    updatedAt: room.updatedAt,
+    players: Rooms.publicPlayers(room).map((p) => Object.assign(p, { connected: here ? p.connected : null })),
+    spectators: here ? room.spectators.map((s) => ({ id: s.id, name: s.name })) : null,
+  };
+}
+
+// Everything the server knows about a room, less the secrets: session tokens, the room
+// password and the dice's server seed while the game is on
+function adminRoomDetails(room, owner) {
+  const saved = Rooms.savedRoom(room);
+  const entry = adminRoomEntry(room, owner);
+  return Object.assign(saved, entry, {
+    players: saved.players.map((p, i) => Object.assign({}, p, { sessionToken: undefined, connected: entry.players[i].connected })),
+    password: undefined,
+    dice: Rooms.publicDice(room),
+    turnPlayerId: Rooms.turnPlayerId(room),
+    turnDeadline: room.turnDeadline,
+    undoRequest: room.undoRequest,
+  });
+}
+
+app.use('/admin', requireAdmin);
+
+// The rooms of every instance
+app.get('/admin/rooms', (req, res) => {
+  Rooms.listRooms().then((found) => {
+    res.json({ rooms: found.map(({ room, owner }) => adminRoomEntry(room, owner)) });
+  }).catch((err) => {
+    Rooms.logBackendError(err);
+    res.status(503).json({ error: 'The room list is not available right now' });
+  });
+});
+
+app.get('/admin/rooms/:id', (req, res) => {
+  Rooms.findRoom(req.params.id).then((found) => {
+    if (!found) {
+      res.status(404).json({ error: 'Room not found' });
       return;
     }
-    else if (data.type === 'ready' && currentRoom && currentPlayer) {
-      currentPlayer.ready = true;
-      broadcast(currentRoom, {
-        type: 'player_list',
-        players: currentRoom.players.map((p) => ({ id: p.id, name: p.name, color: p.color, ready: p.ready })),
-      });
-    }
-    else if (data.type === 'start' && currentRoom && currentPlayer) {
-      // Only allow starting if all players are ready and at least 2 players
-      if (currentRoom.gameStarted) return;
-      if (currentRoom.players.length < 2) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Need at least 2 players to start' }));
-        return;
-      }
-      const allReady = currentRoom.players.every((p) => p.ready);
-      if (!allReady) {
-        ws.send(JSON.stringify({ type: 'error', message: 'All players must be ready' }));
-        return;
-      }
-      currentRoom.gameStarted = true;
-      currentRoom.turnIndex = 0;
-      currentRoom.currentRoll = 0;
-      currentRoom.consecutiveSixes = 0;
-      // Notify players that the game has started and whose turn it is
-      broadcast(currentRoom, {
-        type: 'game_started',
-        turnPlayerId: currentRoom.players[0].id,
-        state: currentRoom.players.map((p) => ({ id: p.id, positions: p.positions }))
-      });
-    }
-    else if (data.type === 'roll' && currentRoom && currentPlayer) {
-      // Ensure it's this player's turn
-      const currentTurnPlayer = currentRoom.players[currentRoom.turnIndex];
-      if (currentTurnPlayer.id !== currentPlayer.id) return;
-      // Generate a die roll 1..6
-      const die = Math.floor(Math.random() * 6) + 1;
-      currentRoom.currentRoll = die;
-      if (die === 6) {
-        currentRoom.consecutiveSixes += 1;
-      } else {
-        currentRoom.consecutiveSixes = 0;
-      }
-      // Compute movable tokens
-      const moves = computeMovableTokens(currentRoom, currentPlayer, die);
-      // If no moves, pass turn (unless we have multiple rolls)
-      let mustPass = moves.length === 0;
-      // If three consecutive sixes, skip this turn completely
-      let skipTurn = false;
-      if (die === 6 && currentRoom.consecutiveSixes >= 3) {
-        skipTurn = true;
-        currentRoom.consecutiveSixes = 0;
-      }
-      // Inform players of the roll result and available moves
-      broadcast(currentRoom, {
-        type: 'roll_result',
-        playerId: currentPlayer.id,
-        roll: die,
-        moves,
-      });
-      if (skipTurn || mustPass) {
-        // Pass the turn
-        nextTurn(currentRoom);
-        broadcast(currentRoom, { type: 'turn', playerId: currentRoom.players[currentRoom.turnIndex].id });
-      }
-    }
-    else if (data.type === 'move' && currentRoom && currentPlayer) {
-      const { tokenIndex } = data;
-      // Ensure it's current player's turn
-      const currentTurnPlayer = currentRoom.players[currentRoom.turnIndex];
-      if (currentTurnPlayer.id !== currentPlayer.id) return;
-      const roll = currentRoom.currentRoll;
-      // Validate that tokenIndex is an available move
-      const available = computeMovableTokens(currentRoom, currentPlayer, roll);
-      if (!available.includes(tokenIndex)) return;
-      // Perform the move
-      const result = performMove(currentRoom, currentPlayer, tokenIndex, roll);
-      // Broadcast updated state
-      broadcast(currentRoom, {
-        type: 'state_update',
-        playerId: currentPlayer.id,
-        positions: currentPlayer.positions,
-        move: { tokenIndex, roll },
-        captured: result.captured,
-        finished: result.finishedNow,
-      });
-      // Check if current player has all tokens finished
-      const finishedCount = currentPlayer.positions.filter((p) => p === 57).length;
-      if (finishedCount === 4) {
-        // Mark player as finished (they are effectively out of turn rotation)
-        // We do not remove them to keep consistent indexes; just treat them as finished
-        broadcast(currentRoom, { type: 'player_finished', playerId: currentPlayer.id });
-      }
-      // Determine if player gets another turn
-      let extraTurn = false;
-      if (roll === 6 && currentRoom.consecutiveSixes > 0) {
-        // Already handled consecutive six logic; if not skip this time, but it's a six so extra turn
-        extraTurn = true;
-      }
-      if (result.captured || result.finishedNow) {
-        extraTurn = true;
-      }
-      if (!extraTurn) {
-        // Move to next turn
-        currentRoom.consecutiveSixes = 0;
-        nextTurn(currentRoom);
-      }
-      // Reset current roll (so next roll is fresh)
-      currentRoom.currentRoll = 0;
-      // Notify players of the next turn
-      broadcast(currentRoom, { type: 'turn', playerId: currentRoom.players[currentRoom.turnIndex].id });
+    res.json({ room: adminRoomDetails(found.room, found.owner) });
+  }).catch((err) => {
+    Rooms.logBackendError(err);
+    res.status(503).json({ error: 'The room is not available right now' });
+  });
+});
+
+// Send a notice, such as a maintenance warning, to everyone in every room on every instance
+app.post('/admin/broadcast', (req, res) => {
+  const { message } = req.body || {};
+  if (typeof message !== 'string' || !message.trim()) {
+    res.status(400).json({ error: 'message is required' });
+    return;
+  }
+  backend.publish(Rooms.NOTICE_CHANNEL, message.trim()).then(() => {
+    res.status(202).end();
+  }).catch((err) => {
+    Rooms.logBackendError(err);
+    res.status(503).json({ error: 'The notice could not be sent' });
+  });
+});
+
+// Close a room for good, sending everyone in it back to the lobby. A room another instance runs
+// is closed there: the request is accepted once that instance has been told.
+app.delete('/admin/rooms/:id', (req, res) => {
+  Rooms.adminCloseRoom(req.params.id).then((result) => {
+    if (!result) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
     }
+    res.status(result === 'forwarded' ? 202 : 204).end();
+  }).catch((err) => {
+    Rooms.logBackendError(err);
+    res.status(503).json({ error: 'The room could not be closed' });
   });
+});
 
+// WebSocket endpoint for realtime game communication
+app.ws('/ws', (ws, req) => {
+  // Oversized or malformed frames fail the socket, which then closes; the server carries on
+  ws.on('error', (err) => {
+    console.error('WebSocket error:', err.message);
+  });
+  // Refuse connections beyond the limit for the client's address
+  const count = connectionsByIp.get(req.ip) || 0;
+  if (count >= MAX_CONNECTIONS_PER_IP) {
+    Rooms.sendError(ws, 'TOO_MANY_CONNECTIONS', null);
+    ws.close(1008);
+    return;
+  }
+  connectionsByIp.set(req.ip, count + 1);
   ws.on('close', () => {
-    // Remove player from room
-    if (currentRoom && currentPlayer) {
-      currentRoom.players = currentRoom.players.filter((p) => p.id !== currentPlayer.id);
-      // Adjust turn index if needed
-      if (currentRoom.turnIndex >= currentRoom.players.length) {
-        currentRoom.turnIndex = 0;
-      }
-      // Inform other players
-      broadcast(currentRoom, {
-        type: 'player_list',
-        players: currentRoom.players.map((p) => ({ id: p.id, name: p.name, color: p.color, ready: p.ready }))
-      });
-      // If no players left, remove room
-      if (currentRoom.players.length === 0) {
-        rooms.delete(currentRoom.id);
-      }
+    const left = connectionsByIp.get(req.ip) - 1;
+    if (left > 0) {
+      connectionsByIp.set(req.ip, left);
+    } else {
+      connectionsByIp.delete(req.ip);
     }
   });
+  Rooms.routeConnection(ws, requestAccount(req), req.ip);
 });
 
-// Start the server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Ludo server listening on port ${PORT}`);
-});
\ No newline at end of file
+// The backend named by the environment, connected
+function connectBackend() {
+  if (!REDIS_URL) return Promise.resolve(PubSub.createMemoryBackend());
+  return Promise.resolve().then(() => {
+    // Only needed with Redis, so only loaded then; a package that will not load fails the
+    // start like a server that cannot be reached
+    const { createClient } = require('redis');
+    const client = createClient({ url: REDIS_URL });
+    const subscriber = client.duplicate();
+    client.on('error', Rooms.logBackendError);
+    subscriber.on('error', Rooms.logBackendError);
+    return Promise.all([client.connect(), subscriber.connect()]).then(() => PubSub.createRedisBackend(client, subscriber));
+  });
+}
+
+// Let other instances take this one's rooms over straight away, after saving what is pending.
+// Gives up waiting for the backend after a few seconds.
+function shutDown() {
+  setTimeout(() => process.exit(0), 3000).unref();
+  Rooms.releaseRooms().catch(Rooms.logBackendError).then(() => process.exit(0));
+}
+
+// Start the server once the backend is there
+connectBackend().then((connected) => {
+  backend = connected;
+  return Rooms.start(backend, accountStore);
+}).then(() => {
+  ['SIGINT', 'SIGTERM'].forEach((signal) => process.on(signal, shutDown));
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Ludo server listening on port ${PORT}`);
+  });
+}).catch((err) => {
+  console.error('Could not connect to the room backend:', err);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+// Board geometry shared by every page that draws the board: the classic 15x15 grid and the
+// six-player one. Maps rules-engine positions (see rules.js) to [row, col] cells.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./rules'));
+  } else {
+    root.LudoBoard = factory(root.LudoRules);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LudoRules) {
+  const BOARD_SIZE = 15;
+
+  // The sequence of coordinates for the 52 main track positions (global indices)
+  const boardMapping = [
+    [1, 6], [2, 6], [3, 6], [4, 6], [5, 6], [6, 6],
+    [6, 5], [6, 4], [6, 3], [6, 2], [6, 1], [6, 0],
+    [7, 0], [8, 0], [8, 1], [8, 2], [8, 3], [8, 4],
+    [8, 5], [8, 6], [9, 6], [10, 6], [11, 6], [12, 6],
+    [13, 6], [14, 6], [14, 7], [14, 8], [13, 8], [12, 8],
+    [11, 8], [10, 8], [9, 8], [8, 8], [8, 9], [8, 10],
+    [8, 11], [8, 12], [8, 13], [8, 14], [7, 14], [6, 14],
+    [6, 13], [6, 12], [6, 11], [6, 10], [6, 9], [6, 8],
+    [5, 8], [4, 8], [3, 8], [2, 8]
+  ];
+
+  // Home column coordinates for each color (6 cells to center)
+  const finalMapping = {
+    red:    [[1,7],[2,7],[3,7],[4,7],[5,7],[6,7]],
+    green:  [[7,1],[7,2],[7,3],[7,4],[7,5],[7,6]],
+    yellow: [[13,7],[12,7],[11,7],[10,7],[9,7],[8,7]],
+    blue:   [[7,13],[7,12],[7,11],[7,10],[7,9],[7,8]],
+  };
+
+  // Base positions for each color (one per token)
+  const homePositions = {
+    red:    [[1,1],[1,3],[3,1],[3,3]],
+    green:  [[1,11],[1,13],[3,11],[3,13]],
+    yellow: [[11,1],[11,3],[13,1],[13,3]],
+    blue:   [[11,11],[11,13],[13,11],[13,13]],
+  };
+
+  // Six-player board: the 78-square main track runs round the edge of a 20x21 grid. Each
+  // color's home column and base sit inside its stretch of the edge.
+  function sixPlayerLayout() {
+    const board = LudoRules.BOARDS.six;
+    const rows = 20;
+    const cols = 21;
+    // The edge clockwise from the top-left corner: top row, right column, bottom row, left column
+    const ring = [];
+    for (let c = 0; c < cols; c++) ring.push({ cell: [0, c], along: [0, 1], inward: [1, 0] });
+    for (let r = 1; r < rows - 1; r++) ring.push({ cell: [r, cols - 1], along: [1, 0], inward: [0, -1] });
+    for (let c = cols - 1; c >= 0; c--) ring.push({ cell: [rows - 1, c], along: [0, -1], inward: [-1, 0] });
+    for (let r = rows - 2; r > 0; r--) ring.push({ cell: [r, 0], along: [-1, 0], inward: [0, 1] });
+    // Red's start square is two cells in from the top-left corner, clear of the corners
+    const offset = 2;
+    const track = ring.map((_, g) => ring[(g + offset) % ring.length].cell);
+    const finals = {};
+    const homes = {};
+    board.colors.forEach((color) => {
+      // The home column leads inwards from the square before the start square
+      const entry = ring[(board.colorStart[color] + offset - 1 + ring.length) % ring.length];
+      const [r, c] = entry.cell;
+      const [dr, dc] = entry.along;
+      const [nr, nc] = entry.inward;
+      finals[color] = [1, 2, 3, 4, 5, 6].map((depth) => [r + nr * depth, c + nc * depth]);
+      homes[color] = [[2, 2], [2, 4], [4, 2], [4, 4]].map(([depth, step]) => [
+        r + nr * depth + dr * step,
+        c + nc * depth + dc * step,
+      ]);
+    });
+    return { id: 'six', rows, cols, track, finals, homes };
+  }
+
+  // Grid and cell tables for each board in LudoRules.BOARDS
+  const LAYOUTS = {
+    classic: { id: 'classic', rows: BOARD_SIZE, cols: BOARD_SIZE, track: boardMapping, finals: finalMapping, homes: homePositions },
+    six: sixPlayerLayout(),
+  };
+
+  // The layout for the board a rule set plays on
+  function layoutFor(rules) {
+    return LAYOUTS[LudoRules.boardFor(rules).id];
+  }
+
+  // Grid cell [row, col] of a token at position `pos`
+  function cellFor(color, tokenIndex, pos, layout = LAYOUTS.classic) {
+    const board = LudoRules.BOARDS[layout.id];
+    if (pos === undefined || pos < 0) {
+      return layout.homes[color][tokenIndex];
+    }
+    if (pos < board.trackLength) {
+      return layout.track[(board.colorStart[color] + pos) % board.trackLength];
+    }
+    return layout.finals[color][Math.min(pos, board.finish) - board.trackLength];
+  }
+
+  return {
+    BOARD_SIZE,
+    boardMapping,
+    finalMapping,
+    homePositions,
+    LAYOUTS,
+    layoutFor,
+    cellFor,
+  };
+});
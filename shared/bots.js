@@ -0,0 +1,98 @@
+// Move selection for computer-controlled players.
+// Pure like the rules engine, so the server and an offline browser game can share it.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./rules'));
+  } else {
+    root.LudoBots = factory(root.LudoRules);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LudoRules) {
+  const { BASE } = LudoRules;
+
+  const DIFFICULTIES = ['random', 'heuristic'];
+
+  // Weights used by the heuristic bot when scoring a candidate move
+  const WEIGHTS = {
+    capture: 100,
+    finish: 60,
+    enterHome: 40,
+    leaveBase: 30,
+    escapeDanger: 35,
+    landSafe: 25,
+    landInDanger: -45,
+    progress: 0.5,
+  };
+
+  // Whether an opponent token sits 1..6 squares behind `globalIndex` on the main track
+  // (partners in team games are no threat)
+  function isThreatened(state, player, globalIndex) {
+    const board = LudoRules.boardFor(state.rules);
+    const trackLength = board.trackLength;
+    if (globalIndex < 0 || globalIndex >= trackLength || LudoRules.isSafeSquare(globalIndex, board)) {
+      return false;
+    }
+    return state.players.some((opponent) => {
+      if (opponent.id === player.id || LudoRules.isTeammate(opponent, player)) return false;
+      return opponent.positions.some((pos) => {
+        if (pos < 0 || pos >= trackLength) return false;
+        const behind = (globalIndex - LudoRules.computeGlobalIndex(opponent.color, pos, board) + trackLength) % trackLength;
+        return behind >= 1 && behind <= 6;
+      });
+    });
+  }
+
+  // Score one of the current player's legal moves; higher is better.
+  // The tokens may be a partner's (see LudoRules.movingPlayer).
+  function scoreMove(state, tokenIndex) {
+    const player = LudoRules.movingPlayer(state);
+    const from = player.positions[tokenIndex];
+    const result = LudoRules.applyMove(state, tokenIndex);
+    const after = result.state.players.find((p) => p.id === player.id);
+    const board = LudoRules.boardFor(state.rules);
+    const { trackLength } = board;
+    const fromGlobal = LudoRules.computeGlobalIndex(player.color, from, board);
+    const toGlobal = LudoRules.computeGlobalIndex(player.color, result.to, board);
+    let score = 0;
+    score += result.captures.length * WEIGHTS.capture;
+    if (result.finished) score += WEIGHTS.finish;
+    if (from < trackLength && result.to >= trackLength && result.to < board.finish) score += WEIGHTS.enterHome;
+    if (from === BASE) score += WEIGHTS.leaveBase;
+    if (isThreatened(state, player, fromGlobal)) score += WEIGHTS.escapeDanger;
+    if (result.to < trackLength) {
+      if (LudoRules.isSafeSquare(toGlobal, board)) score += WEIGHTS.landSafe;
+      if (isThreatened(result.state, after, toGlobal)) score += WEIGHTS.landInDanger;
+    }
+    if (from !== BASE) score += (result.to - from) * WEIGHTS.progress;
+    return score;
+  }
+
+  // Pick a token to move for the current player, or null if nothing can move.
+  // `random` is injectable so tests and replays are deterministic.
+  function chooseMove(state, difficulty, random = Math.random) {
+    const moves = LudoRules.legalMoves(state);
+    if (moves.length === 0) return null;
+    if (difficulty !== 'heuristic') {
+      return moves[Math.floor(random() * moves.length)];
+    }
+    let best = [];
+    let bestScore = -Infinity;
+    moves.forEach((tokenIndex) => {
+      const score = scoreMove(state, tokenIndex);
+      if (score > bestScore) {
+        bestScore = score;
+        best = [tokenIndex];
+      } else if (score === bestScore) {
+        best.push(tokenIndex);
+      }
+    });
+    // Break ties randomly so bots don't always favour their first token
+    return best[Math.floor(random() * best.length)];
+  }
+
+  return {
+    DIFFICULTIES,
+    isThreatened,
+    scoreMove,
+    chooseMove,
+  };
+});
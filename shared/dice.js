@@ -0,0 +1,180 @@
+// Provably fair dice shared by the server and the browser clients.
+// The server commits to SHA-256(serverSeed) before players pick their client seeds; roll n is
+// derived from HMAC-SHA256(serverSeed, "<clientSeed1>:<clientSeed2>:...:<n>"), and the seed is
+// revealed when the game ends so anyone can recompute every die.
+// SHA-256 is implemented here so verification runs synchronously in any browser.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LudoDice = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // SHA-256 round constants
+  const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ];
+
+  const BLOCK_SIZE = 64;
+
+  // Largest multiple of 6 that fits in 32 bits; values at or above it are skipped to avoid bias
+  const UNBIASED_LIMIT = Math.floor(0x100000000 / 6) * 6;
+
+  function rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+  }
+
+  function utf8(text) {
+    return new TextEncoder().encode(String(text));
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // SHA-256 of a byte array, as a 32-byte Uint8Array
+  function sha256(bytes) {
+    const length = bytes.length;
+    const padded = new Uint8Array(Math.ceil((length + 9) / BLOCK_SIZE) * BLOCK_SIZE);
+    padded.set(bytes);
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    const bitLength = length * 8;
+    view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(padded.length - 4, bitLength >>> 0);
+    const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Uint32Array(64);
+    for (let offset = 0; offset < padded.length; offset += BLOCK_SIZE) {
+      for (let i = 0; i < 16; i++) {
+        w[i] = view.getUint32(offset + i * 4);
+      }
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+      }
+      let [a, b, c, d, e, f, g, h] = hash;
+      for (let i = 0; i < 64; i++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) >>> 0;
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) >>> 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) >>> 0;
+      }
+      [a, b, c, d, e, f, g, h].forEach((value, i) => {
+        hash[i] = (hash[i] + value) >>> 0;
+      });
+    }
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    hash.forEach((value, i) => outView.setUint32(i * 4, value));
+    return out;
+  }
+
+  // HMAC-SHA256 of two byte arrays, as a 32-byte Uint8Array
+  function hmacSha256(key, message) {
+    const keyBytes = key.length > BLOCK_SIZE ? sha256(key) : key;
+    const padded = new Uint8Array(BLOCK_SIZE);
+    padded.set(keyBytes);
+    const inner = new Uint8Array(BLOCK_SIZE + message.length);
+    const outer = new Uint8Array(BLOCK_SIZE + 32);
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      inner[i] = padded[i] ^ 0x36;
+      outer[i] = padded[i] ^ 0x5c;
+    }
+    inner.set(message, BLOCK_SIZE);
+    outer.set(sha256(inner), BLOCK_SIZE);
+    return sha256(outer);
+  }
+
+  function sha256Hex(text) {
+    return toHex(sha256(utf8(text)));
+  }
+
+  function hmacSha256Hex(key, text) {
+    return toHex(hmacSha256(utf8(key), utf8(text)));
+  }
+
+  // The hash the server publishes before the game so it cannot change its seed later
+  function commitment(serverSeed) {
+    return sha256Hex(serverSeed);
+  }
+
+  // Die value 1..6 for roll number `counter` (counting from 0) of a game
+  function rollFor(serverSeed, clientSeeds, counter) {
+    const digest = hmacSha256(utf8(serverSeed), utf8(`${clientSeeds.join(':')}:${counter}`));
+    const view = new DataView(digest.buffer);
+    // Take the first 32-bit chunk that maps onto the die without bias
+    for (let offset = 0; offset < digest.length; offset += 4) {
+      const value = view.getUint32(offset);
+      if (value < UNBIASED_LIMIT) return (value % 6) + 1;
+    }
+    // Practically unreachable (every chunk in the top 4 values); still deterministic
+    return (digest[digest.length - 1] % 6) + 1;
+  }
+
+  // Check a revealed seed against its commitment and recompute each { counter, roll }.
+  // Returns { commitmentValid, checked, mismatches: [{ counter, roll, expected }] }.
+  function verifyRolls(serverSeed, expectedCommitment, clientSeeds, rolls) {
+    const mismatches = [];
+    rolls.forEach((r) => {
+      const expected = rollFor(serverSeed, clientSeeds, r.counter);
+      if (expected !== r.roll) mismatches.push({ counter: r.counter, roll: r.roll, expected });
+    });
+    return {
+      commitmentValid: commitment(serverSeed) === expectedCommitment,
+      checked: rolls.length,
+      mismatches,
+    };
+  }
+
+  // What a player can tell is wrong with a game's dice (as in the server's messages), given what
+  // they sent with 'ready': their `playerId`, their `clientSeed` and the `commitment` shown to
+  // them at the time. Returns 'commitment_changed' if the server has since committed to another
+  // seed, 'seed_mismatch' if the revealed seed is not the one committed to, 'seed_ignored' if
+  // their seed is missing from the dice, or null if nothing is wrong so far.
+  function checkDice(dice, sent) {
+    if (sent.commitment && dice.commitment !== sent.commitment) return 'commitment_changed';
+    if (dice.serverSeed && commitment(dice.serverSeed) !== dice.commitment) return 'seed_mismatch';
+    const mine = dice.clientSeeds && dice.clientSeeds.find((s) => s.playerId === sent.playerId);
+    if (dice.clientSeeds && sent.clientSeed && (!mine || mine.seed !== sent.clientSeed)) return 'seed_ignored';
+    return null;
+  }
+
+  // Verify every roll in a game log (as served by GET /rooms/:id/log).
+  // Returns null while the server seed has not been revealed.
+  function verifyLog(log) {
+    const start = log.events.find((e) => e.type === 'start');
+    const over = log.events.find((e) => e.type === 'game_over');
+    if (!start || !start.dice || !over || !over.dice || !over.dice.serverSeed) return null;
+    const clientSeeds = start.dice.clientSeeds.map((s) => s.seed);
+    const rolls = log.events.filter((e) => e.type === 'roll').map((e) => ({ counter: e.counter, roll: e.roll }));
+    return verifyRolls(over.dice.serverSeed, start.dice.commitment, clientSeeds, rolls);
+  }
+
+  return {
+    sha256Hex,
+    hmacSha256Hex,
+    commitment,
+    rollFor,
+    verifyRolls,
+    checkDice,
+    verifyLog,
+  };
+});
@@ -0,0 +1,431 @@
+// WebSocket protocol shared by the server and the browser clients: the version, the declared
+// shape of every message in both directions, and the error codes sent back when a request
+// is rejected. Validation is pure so both sides (and the tests) can run it.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./rules'));
+  } else {
+    root.LudoProtocol = factory(root.LudoRules);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LudoRules) {
+  // Bumped whenever a message changes incompatibly
+  const PROTOCOL_VERSION = 1;
+  // Versions this build can speak; clients announce theirs in `join` / `resume`
+  const SUPPORTED_VERSIONS = [1];
+
+  // Machine-readable reasons a request was rejected, with a default human-readable message
+  const ERROR_MESSAGES = {
+    INVALID_MESSAGE: 'Malformed message',
+    UNKNOWN_TYPE: 'Unknown message type',
+    PROTOCOL_UNSUPPORTED: 'This version of the game is no longer supported; please reload the page',
+    NOT_IN_ROOM: 'Join a room first',
+    NOT_A_PLAYER: 'Spectators cannot do that',
+    ALREADY_IN_ROOM: 'You are already in a room',
+    ROOM_NOT_FOUND: 'Room not found',
+    ROOM_FULL: 'Room is full',
+    ROOM_LOCKED: 'The host has locked this room',
+    WRONG_PASSWORD: 'Wrong room password',
+    KICKED: 'The host removed you from this room',
+    GAME_STARTED: 'The game has already started',
+    GAME_NOT_STARTED: 'The game has not started yet',
+    GAME_OVER: 'The game is over',
+    GAME_NOT_OVER: 'The game is still being played',
+    NOT_HOST: 'Only the host can do that',
+    NOT_ENOUGH_PLAYERS: 'Need at least 2 players to start',
+    PLAYERS_NOT_READY: 'All players must be ready',
+    TEAMS_INCOMPLETE: 'Team games need four players, two on each team',
+    NOT_TEAM_GAME: 'This game is not played in teams',
+    TEAM_FULL: 'That team is full',
+    PLAYER_NOT_FOUND: 'No such player in this room',
+    NOT_YOUR_TURN: 'It is not your turn',
+    ALREADY_ROLLED: 'You have already rolled; move a token',
+    NOT_ROLLED: 'Roll the dice first',
+    ILLEGAL_MOVE: 'That token cannot move',
+    RATE_LIMITED: 'You are sending messages too fast; wait a moment',
+    TOO_MANY_CONNECTIONS: 'Too many connections from your address; close some other games first',
+    SERVER_FULL: 'The server cannot open any more rooms right now; try again later',
+    UNDO_DISABLED: 'The host has turned off take-backs in this room',
+    NOTHING_TO_UNDO: 'You can only take back your own last move, before the next roll',
+    UNDO_PENDING: 'A take-back is already waiting for an answer',
+    NO_UNDO_REQUEST: 'Nobody is waiting for your answer to a take-back',
+  };
+  const ERROR_CODES = Object.keys(ERROR_MESSAGES);
+
+  const ID = { type: 'string', maxLength: 32, pattern: /^[A-Za-z0-9_-]+$/ };
+  const NAME = { type: 'string', maxLength: 32 };
+  const PASSWORD = { type: 'string', maxLength: 64 };
+
+  // Longest chat message, in characters
+  const CHAT_MAX_LENGTH = 200;
+  // Quick reactions players can pop up over their home area, with what they show
+  const REACTIONS = {
+    nice_capture: 'Nice capture!',
+    laugh: '😂',
+    angry: '😡',
+  };
+
+  // Client → server messages. `requires` says who may send it: anyone ('none'), anyone in a
+  // room whether seated or watching ('member'), or only someone seated in a room ('player').
+  const CLIENT_MESSAGES = {
+    join: {
+      requires: 'none',
+      fields: {
+        // Required unless mode is 'quick', where the server picks the room
+        roomId: ID,
+        name: NAME,
+        color: { type: 'string', values: LudoRules.ALL_COLORS },
+        rules: { type: 'object' },
+        mode: { type: 'string', values: ['play', 'spectate', 'quick'] },
+        visibility: { type: 'string', values: ['public', 'private'] },
+        password: PASSWORD,
+        protocol: { type: 'integer', min: 1 },
+      },
+    },
+    resume: {
+      requires: 'none',
+      fields: {
+        roomId: Object.assign({ required: true }, ID),
+        playerId: Object.assign({ required: true }, ID),
+        sessionToken: { type: 'string', required: true, maxLength: 128 },
+        protocol: { type: 'integer', min: 1 },
+      },
+    },
+    ping: { requires: 'none', fields: {} },
+    ready: {
+      requires: 'player',
+      fields: {
+        clientSeed: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9_-]+$/ },
+      },
+    },
+    set_rules: { requires: 'player', fields: { rules: { type: 'object', required: true } } },
+    add_bot: { requires: 'player', fields: { difficulty: { type: 'string', maxLength: 16 } } },
+    remove_bot: { requires: 'player', fields: { playerId: Object.assign({ required: true }, ID) } },
+    start: { requires: 'player', fields: {} },
+    rematch: { requires: 'player', fields: {} },
+    // Host controls
+    kick: { requires: 'player', fields: { playerId: Object.assign({ required: true }, ID) } },
+    transfer_host: { requires: 'player', fields: { playerId: Object.assign({ required: true }, ID) } },
+    lock_room: { requires: 'player', fields: { locked: { type: 'boolean', required: true } } },
+    set_undo: { requires: 'player', fields: { allowed: { type: 'boolean', required: true } } },
+    set_password: { requires: 'player', fields: { password: Object.assign({ required: true, nullable: true }, PASSWORD) } },
+    set_color: {
+      requires: 'player',
+      fields: {
+        playerId: Object.assign({ required: true }, ID),
+        color: { type: 'string', required: true, values: LudoRules.ALL_COLORS },
+      },
+    },
+    choose_team: {
+      requires: 'player',
+      fields: { team: { type: 'integer', required: true, min: 0, max: LudoRules.TEAMS.length - 1 } },
+    },
+    // Ask for the room's full state, after missing a message (see SEQ below)
+    sync: { requires: 'member', fields: {} },
+    chat: { requires: 'member', fields: { text: { type: 'string', required: true, maxLength: CHAT_MAX_LENGTH } } },
+    react: {
+      requires: 'player',
+      fields: { reaction: { type: 'string', required: true, values: Object.keys(REACTIONS) } },
+    },
+    active: { requires: 'player', fields: {} },
+    roll: { requires: 'player', fields: {} },
+    // Take back our last move, if the other players agree
+    request_undo: { requires: 'player', fields: {} },
+    answer_undo: { requires: 'player', fields: { accept: { type: 'boolean', required: true } } },
+    move: {
+      requires: 'player',
+      fields: {
+        tokenIndex: { type: 'integer', required: true, min: 0, max: LudoRules.TOKENS_PER_PLAYER - 1 },
+      },
+    },
+  };
+
+  const TIME = { type: 'number', nullable: true };
+  // Messages a room sends to all its members are `sequenced`: their `seq` is one higher than the
+  // room's previous message, so a client can tell when it missed one and send `sync` for a fresh
+  // snapshot. Replies describing the whole room carry the number of the last message, LAST_SEQ.
+  const SEQ = { type: 'integer', required: true, min: 1 };
+  const LAST_SEQ = { type: 'integer', required: true, min: 0 };
+
+  // Server → client messages
+  const SERVER_MESSAGES = {
+    joined: {
+      fields: {
+        playerId: { type: 'string', required: true },
+        roomId: { type: 'string', required: true },
+        color: { type: 'string', required: true },
+        sessionToken: { type: 'string', required: true },
+        rules: { type: 'object', required: true },
+        players: { type: 'array', required: true },
+        dice: { type: 'object', required: true },
+        protocol: { type: 'integer', required: true },
+        seq: LAST_SEQ,
+      },
+    },
+    resumed: {
+      fields: {
+        playerId: { type: 'string', required: true },
+        color: { type: 'string', required: true },
+        state: { type: 'object', required: true },
+        protocol: { type: 'integer', required: true },
+        seq: LAST_SEQ,
+      },
+    },
+    resume_failed: { fields: { message: { type: 'string', required: true } } },
+    spectating: {
+      fields: {
+        spectatorId: { type: 'string', required: true },
+        state: { type: 'object', required: true },
+        protocol: { type: 'integer', required: true },
+        seq: LAST_SEQ,
+      },
+    },
+    // Reply to `sync`: the room as it is now (see roomSnapshot in rooms.js)
+    sync: {
+      fields: {
+        state: { type: 'object', required: true },
+        seq: LAST_SEQ,
+      },
+    },
+    player_list: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        players: { type: 'array', required: true },
+        spectators: { type: 'integer', required: true },
+        hostId: { type: 'string', required: true, nullable: true },
+        locked: { type: 'boolean', required: true },
+        hasPassword: { type: 'boolean', required: true },
+        undoAllowed: { type: 'boolean', required: true },
+      },
+    },
+    kicked: { fields: { message: { type: 'string', required: true } } },
+    rules: { sequenced: true, fields: { seq: SEQ, rules: { type: 'object', required: true } } },
+    game_started: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        rules: { type: 'object', required: true },
+        turnPlayerId: { type: 'string', required: true, nullable: true },
+        deadline: TIME,
+        timeLeft: TIME,
+        dice: { type: 'object', required: true },
+        state: { type: 'array', required: true },
+      },
+    },
+    roll_result: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true },
+        // Whose tokens the moves are for: the roller's, or their partner's in team games
+        tokensOf: { type: 'string', required: true },
+        counter: { type: 'integer', required: true },
+        roll: { type: 'integer', required: true, min: 1, max: 6 },
+        moves: { type: 'array', required: true },
+        // What each of those moves would do (see Rules.previewMove), for the destination preview
+        previews: { type: 'array', required: true },
+      },
+    },
+    state_update: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true },
+        positions: { type: 'array', required: true },
+        move: { type: 'object', required: true },
+        // Who made the move: the owner, or their partner in team games
+        movedBy: { type: 'string', required: true },
+        // Positions the token passed through, ending where it landed, and the tokens it captured
+        path: { type: 'array', required: true },
+        captures: { type: 'array', required: true },
+        // { id, positions } for the mover and every player the move captured
+        state: { type: 'array', required: true },
+        captured: { type: 'boolean', required: true },
+        finished: { type: 'boolean', required: true },
+      },
+    },
+    turn: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true, nullable: true },
+        deadline: TIME,
+        timeLeft: TIME,
+      },
+    },
+    turn_timeout: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true },
+        missedTurns: { type: 'integer', required: true },
+      },
+    },
+    player_finished: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true },
+        place: { type: 'integer', required: true, min: 1 },
+      },
+    },
+    game_over: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        rankings: { type: 'array', required: true },
+        winningTeam: { type: 'integer', nullable: true },
+        dice: { type: 'object', required: true },
+      },
+    },
+    rematch: { sequenced: true, fields: { seq: SEQ, state: { type: 'object', required: true } } },
+    chat: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        // A seat or spectator id; spectators have no color
+        senderId: { type: 'string', required: true },
+        name: { type: 'string', required: true },
+        color: { type: 'string', required: true, nullable: true },
+        text: { type: 'string', required: true, maxLength: CHAT_MAX_LENGTH },
+        time: { type: 'number', required: true },
+      },
+    },
+    reaction: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true },
+        reaction: { type: 'string', required: true, values: Object.keys(REACTIONS) },
+      },
+    },
+    // A player asked to take back their last move; everyone in waitingFor has to accept
+    undo_requested: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true },
+        waitingFor: { type: 'array', required: true },
+      },
+    },
+    // The request was turned down, or dropped (declinedBy null) because the game moved on or
+    // nobody answered in time
+    undo_declined: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true },
+        declinedBy: { type: 'string', required: true, nullable: true },
+      },
+    },
+    // The move was taken back: the board as it was before it, with the same roll to move again
+    move_undone: {
+      sequenced: true,
+      fields: {
+        seq: SEQ,
+        playerId: { type: 'string', required: true },
+        tokensOf: { type: 'string', required: true },
+        roll: { type: 'integer', required: true, min: 1, max: 6 },
+        moves: { type: 'array', required: true },
+        previews: { type: 'array', required: true },
+        state: { type: 'array', required: true },
+        finishOrder: { type: 'array', required: true },
+        deadline: TIME,
+        timeLeft: TIME,
+      },
+    },
+    // A message from the server's operators to every room, such as upcoming maintenance
+    notice: { sequenced: true, fields: { seq: SEQ, message: { type: 'string', required: true } } },
+    error: {
+      fields: {
+        code: { type: 'string', required: true, values: ERROR_CODES },
+        message: { type: 'string', required: true },
+        requestType: { type: 'string', nullable: true },
+      },
+    },
+  };
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  // Why `value` does not fit `spec`, or null if it does
+  function fieldProblem(name, spec, value) {
+    if (value === undefined) {
+      return spec.required ? `${name} is required` : null;
+    }
+    if (value === null) {
+      return spec.nullable ? null : `${name} must not be null`;
+    }
+    const actual = typeOf(value);
+    const typeMatches = actual === spec.type || (spec.type === 'number' && actual === 'integer');
+    if (!typeMatches) return `${name} must be ${spec.type === 'integer' ? 'an integer' : `a ${spec.type}`}`;
+    if (spec.values && !spec.values.includes(value)) return `${name} must be one of ${spec.values.join(', ')}`;
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) return `${name} is too long`;
+    if (spec.type === 'string' && spec.required && value.length === 0) return `${name} must not be empty`;
+    if (spec.pattern && !spec.pattern.test(value)) return `${name} contains invalid characters`;
+    if (spec.min !== undefined && value < spec.min) return `${name} must be at least ${spec.min}`;
+    if (spec.max !== undefined && value > spec.max) return `${name} must be at most ${spec.max}`;
+    return null;
+  }
+
+  // Check a parsed message against a schema table.
+  // Returns { ok: true, spec } or { ok: false, code, message }.
+  function validate(schemas, data) {
+    if (typeOf(data) !== 'object') {
+      return { ok: false, code: 'INVALID_MESSAGE', message: 'Messages must be JSON objects' };
+    }
+    if (typeof data.type !== 'string' || !Object.prototype.hasOwnProperty.call(schemas, data.type)) {
+      return { ok: false, code: 'UNKNOWN_TYPE', message: `Unknown message type: ${String(data.type).slice(0, 32)}` };
+    }
+    const spec = schemas[data.type];
+    for (const name of Object.keys(spec.fields)) {
+      const problem = fieldProblem(name, spec.fields[name], data[name]);
+      if (problem) return { ok: false, code: 'INVALID_MESSAGE', message: problem };
+    }
+    return { ok: true, spec };
+  }
+
+  function validateClientMessage(data) {
+    return validate(CLIENT_MESSAGES, data);
+  }
+
+  function validateServerMessage(data) {
+    return validate(SERVER_MESSAGES, data);
+  }
+
+  // The version both sides will speak, or null if the client's is not supported.
+  // Clients from before versioning send none and speak version 1.
+  function negotiateVersion(requested) {
+    const version = requested === undefined ? 1 : requested;
+    return SUPPORTED_VERSIONS.includes(version) ? version : null;
+  }
+
+  // An error reply for a rejected request
+  function errorMessage(code, requestType, message) {
+    return {
+      type: 'error',
+      code,
+      message: message || ERROR_MESSAGES[code],
+      requestType: requestType || null,
+    };
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    SUPPORTED_VERSIONS,
+    ERROR_MESSAGES,
+    ERROR_CODES,
+    CHAT_MAX_LENGTH,
+    REACTIONS,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    validateClientMessage,
+    validateServerMessage,
+    negotiateVersion,
+    errorMessage,
+  };
+});
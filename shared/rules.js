@@ -0,0 +1,537 @@
+// Ludo rules engine shared by the server and the browser clients.
+// Everything here is pure: functions take a serializable game state and return a new one,
+// never touching sockets, timers or the DOM. Dice are injected so games can be replayed.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LudoRules = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Player colors in seating order around the board
+  const COLORS = ['red', 'green', 'yellow', 'blue'];
+
+  // Starting offset for each color on the main track
+  const COLOR_START = {
+    red: 0,
+    green: 13,
+    yellow: 26,
+    blue: 39,
+  };
+
+  // Partners in team games sit diagonally opposite each other
+  const TEAMS = [
+    ['red', 'yellow'],
+    ['green', 'blue'],
+  ];
+
+  // Safe squares on the main track (global board indices)
+  const SAFE_INDICES = [0, 8, 13, 21, 26, 34, 39, 47];
+
+  // Token positions are relative to the owner's start square:
+  // -1 is the base, 0..51 the main track, 52..57 the home column and 57 the finish.
+  const BASE = -1;
+  const TRACK_LENGTH = 52;
+  const FINISH = 57;
+  const TOKENS_PER_PLAYER = 4;
+  const MAX_CONSECUTIVE_SIXES = 3;
+  // Squares from one color's start square to the next; the board's safe squares are each
+  // start square and the square SAFE_OFFSET on from it
+  const ARM_LENGTH = 13;
+  const SAFE_OFFSET = 8;
+  // Squares in a home column, the finish included
+  const HOME_COLUMN_LENGTH = 6;
+
+  // Track geometry for a board seating `colors` in turn order around it
+  function makeBoard(id, colors) {
+    const trackLength = colors.length * ARM_LENGTH;
+    const colorStart = {};
+    colors.forEach((color, i) => {
+      colorStart[color] = i * ARM_LENGTH;
+    });
+    return {
+      id,
+      colors,
+      colorStart,
+      safeIndices: colors.flatMap((color, i) => [i * ARM_LENGTH, i * ARM_LENGTH + SAFE_OFFSET]),
+      trackLength,
+      finish: trackLength + HOME_COLUMN_LENGTH - 1,
+    };
+  }
+
+  // Board variants a room can be created with. The constants above describe the classic one.
+  const BOARDS = {
+    classic: makeBoard('classic', COLORS),
+    six: makeBoard('six', COLORS.concat(['purple', 'orange'])),
+  };
+  // Every color any board uses
+  const ALL_COLORS = BOARDS.six.colors;
+
+  // House rules a room can choose before the game starts
+  const DEFAULT_RULES = {
+    board: 'classic',                   // key into BOARDS, fixed when the room is created
+    tokensPerPlayer: TOKENS_PER_PLAYER, // 2..4 tokens each
+    releaseValues: [6],                 // die values that bring a token out of the base
+    blockades: false,                   // two tokens of one color on a square block opponents from passing
+    captureBeforeHome: false,           // a player must capture once before entering their home column
+    bounceBack: false,                  // overshooting the finish bounces back instead of being illegal
+    extraTurnOnCapture: true,           // capturing earns another roll
+    threeSixesForfeit: true,            // a third six in a row forfeits the roll and ends the turn
+    teams: false,                       // 2v2: diagonal partners cannot capture each other and win together
+    partnerMoves: false,                // in team games, a finished player rolls for their partner
+  };
+
+  // Fill in defaults and drop anything invalid from a client-supplied rule set
+  function normalizeRules(input) {
+    const rules = Object.assign({}, DEFAULT_RULES);
+    rules.releaseValues = DEFAULT_RULES.releaseValues.slice();
+    if (!input || typeof input !== 'object') return rules;
+    if (typeof input.board === 'string' && Object.prototype.hasOwnProperty.call(BOARDS, input.board)) {
+      rules.board = input.board;
+    }
+    if (Number.isInteger(input.tokensPerPlayer) && input.tokensPerPlayer >= 2 && input.tokensPerPlayer <= TOKENS_PER_PLAYER) {
+      rules.tokensPerPlayer = input.tokensPerPlayer;
+    }
+    if (Array.isArray(input.releaseValues)) {
+      const values = input.releaseValues.filter((v) => Number.isInteger(v) && v >= 1 && v <= 6);
+      if (values.length > 0) {
+        rules.releaseValues = Array.from(new Set(values)).sort((a, b) => a - b);
+      }
+    }
+    ['blockades', 'captureBeforeHome', 'bounceBack', 'extraTurnOnCapture', 'threeSixesForfeit', 'teams', 'partnerMoves'].forEach((key) => {
+      if (typeof input[key] === 'boolean') rules[key] = input[key];
+    });
+    // Teams are the classic board's diagonal pairs
+    if (rules.board !== 'classic') {
+      rules.teams = false;
+      rules.partnerMoves = false;
+    }
+    return rules;
+  }
+
+  // The board a rule set plays on
+  function boardFor(rules) {
+    return BOARDS[rules && rules.board] || BOARDS.classic;
+  }
+
+  // Index into TEAMS of the team a color plays for
+  function teamOf(color) {
+    return TEAMS.findIndex((team) => team.includes(color));
+  }
+
+  // The color sitting diagonally opposite
+  function partnerColor(color) {
+    const team = TEAMS[teamOf(color)];
+    return team ? team.find((c) => c !== color) : undefined;
+  }
+
+  // Roll a fair die using the given random source (defaults to Math.random)
+  function rollDie(random = Math.random) {
+    return Math.floor(random() * 6) + 1;
+  }
+
+  // Create the state for a new game; players are { id, color } in turn order.
+  // In team games turns go round the board instead, so the two teams alternate.
+  // Each player also keeps counters for the end-of-game results.
+  function createGame(players, rules) {
+    const gameRules = normalizeRules(rules);
+    const seated = gameRules.teams
+      ? players.slice().sort((a, b) => COLORS.indexOf(a.color) - COLORS.indexOf(b.color))
+      : players;
+    return {
+      rules: gameRules,
+      players: seated.map((p) => ({
+        id: p.id,
+        color: p.color,
+        team: gameRules.teams ? teamOf(p.color) : null,
+        positions: new Array(gameRules.tokensPerPlayer).fill(BASE),
+        captures: 0,
+        tokensLost: 0,
+        sixesRolled: 0,
+        turnsTaken: 0,
+      })),
+      turnIndex: 0,
+      currentRoll: 0,
+      consecutiveSixes: 0,
+      // Whether the player on turn has rolled yet, so extra rolls don't count as new turns
+      turnStarted: false,
+      // Ids of players who brought every token home, first finisher first
+      finishOrder: [],
+    };
+  }
+
+  // Copy a state deeply enough that the returned one can be changed freely
+  function cloneState(state) {
+    return Object.assign({}, state, {
+      players: state.players.map((p) => Object.assign({}, p, { positions: p.positions.slice() })),
+      finishOrder: state.finishOrder.slice(),
+    });
+  }
+
+  // The player whose turn it is
+  function currentPlayer(state) {
+    return state.players[state.turnIndex] || null;
+  }
+
+  // Whether two different players play for the same team
+  function isTeammate(a, b) {
+    return a.id !== b.id && a.team !== null && a.team !== undefined && a.team === b.team;
+  }
+
+  // A player's partner in a team game, or null
+  function partnerOf(state, player) {
+    return state.players.find((p) => isTeammate(p, player)) || null;
+  }
+
+  // Whose tokens the current player moves: their own, or their partner's once they have
+  // finished and the room lets finished players help
+  function movingPlayer(state) {
+    const player = currentPlayer(state);
+    if (!player || !state.rules.partnerMoves || !hasFinished(state, player)) return player;
+    const partner = partnerOf(state, player);
+    return partner && !hasFinished(state, partner) ? partner : player;
+  }
+
+  // Whether a player still has tokens to move on their turn, their own or their partner's
+  function hasTurn(state, player) {
+    if (!hasFinished(state, player)) return true;
+    const partner = state.rules.partnerMoves && partnerOf(state, player);
+    return Boolean(partner) && !hasFinished(state, partner);
+  }
+
+  // Compute the global board index for a player's token position
+  function computeGlobalIndex(color, pos, board = BOARDS.classic) {
+    if (pos < 0) return -1; // base
+    if (pos < board.trackLength) {
+      // Main track
+      return (board.colorStart[color] + pos) % board.trackLength;
+    }
+    // Home column positions are offset so they never conflict with the main track or each other
+    return 100 + board.colors.indexOf(color) * 10 + (pos - board.trackLength);
+  }
+
+  function isSafeSquare(globalIndex, board = BOARDS.classic) {
+    return board.safeIndices.includes(globalIndex);
+  }
+
+  // Whether an opponent of `player` has two or more tokens on the given main-track square.
+  // A partner's pair does not block.
+  function isBlockade(state, player, globalIndex) {
+    const board = boardFor(state.rules);
+    return state.players.some((opponent) => {
+      if (opponent.id === player.id || isTeammate(opponent, player)) return false;
+      const stacked = opponent.positions.filter(
+        (pos) => pos >= 0 && pos < board.trackLength && computeGlobalIndex(opponent.color, pos, board) === globalIndex
+      );
+      return stacked.length >= 2;
+    });
+  }
+
+  // Every position a token of `player` visits moving from `pos` with `roll`, ending on
+  // the square it lands on, or null if the move is not allowed by the room's rules
+  function movePath(state, player, pos, roll) {
+    const rules = state.rules;
+    const board = boardFor(rules);
+    const lastTrackPos = board.trackLength - 1;
+    let path;
+    if (pos === board.finish) return null;
+    if (pos === BASE) {
+      // Leaving the base lands on the start square
+      if (!rules.releaseValues.includes(roll)) return null;
+      path = [0];
+    } else {
+      const canEnterHome = !rules.captureBeforeHome || player.captures > 0;
+      path = [];
+      let current = pos;
+      let direction = 1;
+      for (let step = 0; step < roll; step++) {
+        if (current === lastTrackPos && !canEnterHome) {
+          // Not allowed into the home column yet: go round the board again
+          current = 0;
+        } else if (current === board.finish) {
+          // Overshooting the finish is only allowed when tokens bounce back
+          if (!rules.bounceBack) return null;
+          direction = -1;
+          current -= 1;
+        } else {
+          current += direction;
+        }
+        path.push(current);
+      }
+    }
+    if (rules.blockades) {
+      const blocked = path.some(
+        (p) => p <= lastTrackPos && isBlockade(state, player, computeGlobalIndex(player.color, p, board))
+      );
+      if (blocked) return null;
+    }
+    return path;
+  }
+
+  // Where the current player's token lands with `roll`, or null if it cannot move
+  function moveTarget(state, tokenIndex, roll) {
+    const player = movingPlayer(state);
+    const path = movePath(state, player, player.positions[tokenIndex], roll);
+    return path ? path[path.length - 1] : null;
+  }
+
+  function isPlayerFinished(player, board = BOARDS.classic) {
+    return player.positions.every((pos) => pos === board.finish);
+  }
+
+  // isPlayerFinished on the board the game is played on
+  function hasFinished(state, player) {
+    return isPlayerFinished(player, boardFor(state.rules));
+  }
+
+  // Token indices the current player may move with the given roll (defaults to the pending roll).
+  // They index the tokens of movingPlayer(state).
+  function legalMoves(state, roll = state.currentRoll) {
+    const player = movingPlayer(state);
+    if (!player || !roll) return [];
+    const moves = [];
+    player.positions.forEach((pos, i) => {
+      if (movePath(state, player, pos, roll)) moves.push(i);
+    });
+    return moves;
+  }
+
+  // Advance the turn to the next player that still has tokens to bring home (or, when
+  // finished players help their partner, a partner with tokens left)
+  function nextTurn(state) {
+    const next = cloneState(state);
+    next.currentRoll = 0;
+    next.consecutiveSixes = 0;
+    next.turnStarted = false;
+    const count = next.players.length;
+    for (let step = 1; step <= count; step++) {
+      const idx = (state.turnIndex + step) % count;
+      if (hasTurn(next, next.players[idx])) {
+        next.turnIndex = idx;
+        return next;
+      }
+    }
+    // Everyone has finished; keep the index
+    return next;
+  }
+
+  // Record a die roll for the current player.
+  // The turn passes straight away on a third six in a row or when no token can move.
+  function applyRoll(state, roll) {
+    if (!Number.isInteger(roll) || roll < 1 || roll > 6) {
+      throw new Error(`Invalid die value: ${roll}`);
+    }
+    if (state.currentRoll) {
+      throw new Error('A roll is already waiting for a move');
+    }
+    let next = cloneState(state);
+    const player = currentPlayer(next);
+    if (!next.turnStarted) player.turnsTaken += 1;
+    if (roll === 6) player.sixesRolled += 1;
+    next.turnStarted = true;
+    next.currentRoll = roll;
+    next.consecutiveSixes = roll === 6 ? state.consecutiveSixes + 1 : 0;
+    const moves = legalMoves(next, roll);
+    const forfeited = state.rules.threeSixesForfeit && roll === 6 && next.consecutiveSixes >= MAX_CONSECUTIVE_SIXES;
+    const passed = forfeited || moves.length === 0;
+    if (passed) {
+      next = nextTurn(next);
+    }
+    return { state: next, roll, moves, forfeited, passed };
+  }
+
+  // Roll with an injected dice source (a function returning 1..6) and apply the result
+  function roll(state, dice = rollDie) {
+    return applyRoll(state, dice());
+  }
+
+  // What moving one of the current player's tokens by the pending roll would do, without doing
+  // it: { tokenIndex, from, path, to, captures }, where captures lists the opponent tokens
+  // ({ playerId, tokenIndex }) sent back to base. Null if the move is not legal.
+  function previewMove(state, tokenIndex) {
+    if (!legalMoves(state).includes(tokenIndex)) return null;
+    const player = movingPlayer(state);
+    const from = player.positions[tokenIndex];
+    const path = movePath(state, player, from, state.currentRoll);
+    const to = path[path.length - 1];
+    const board = boardFor(state.rules);
+    const captures = [];
+    if (to < board.trackLength) {
+      const targetGlobal = computeGlobalIndex(player.color, to, board);
+      if (!isSafeSquare(targetGlobal, board)) {
+        state.players.forEach((opponent) => {
+          if (opponent.id === player.id || isTeammate(opponent, player)) return;
+          opponent.positions.forEach((oppPos, idx) => {
+            // Only tokens on the main track can be captured
+            if (oppPos < 0 || oppPos >= board.trackLength) return;
+            if (computeGlobalIndex(opponent.color, oppPos, board) === targetGlobal) {
+              captures.push({ playerId: opponent.id, tokenIndex: idx });
+            }
+          });
+        });
+      }
+    }
+    return { tokenIndex, from, path, to, captures };
+  }
+
+  // Move one of the current player's tokens (or their partner's, see movingPlayer) by the
+  // pending roll. Lands on opponents outside safe squares capture them, partners excepted;
+  // a six, a capture (unless the room turned that off) or bringing a token home earns
+  // another roll.
+  function applyMove(state, tokenIndex) {
+    const rollValue = state.currentRoll;
+    if (!legalMoves(state).includes(tokenIndex)) {
+      throw new Error(`Illegal move for token ${tokenIndex}`);
+    }
+    const { from, path, to, captures } = previewMove(state, tokenIndex);
+    let next = cloneState(state);
+    const movedBy = currentPlayer(next);
+    const player = next.players[state.players.indexOf(movingPlayer(state))];
+    const board = boardFor(state.rules);
+    captures.forEach((capture) => {
+      const opponent = next.players.find((p) => p.id === capture.playerId);
+      opponent.positions[capture.tokenIndex] = BASE;
+      opponent.tokensLost += 1;
+    });
+    player.positions[tokenIndex] = to;
+    player.captures += captures.length;
+    const finished = to === board.finish;
+    const playerFinished = hasFinished(next, player);
+    if (playerFinished) next.finishOrder.push(player.id);
+    const earnedByCapture = captures.length > 0 && state.rules.extraTurnOnCapture;
+    const extraTurn = !playerFinished && (rollValue === 6 || earnedByCapture || finished);
+    if (extraTurn) {
+      next.currentRoll = 0;
+    } else {
+      next = nextTurn(next);
+    }
+    return {
+      state: next,
+      playerId: player.id,
+      movedBy: movedBy.id,
+      tokenIndex,
+      roll: rollValue,
+      from,
+      to,
+      path,
+      captures,
+      finished,
+      playerFinished,
+      extraTurn,
+    };
+  }
+
+  // Teams that have a player at the table
+  function teamsInPlay(state) {
+    return Array.from(new Set(state.players.map((p) => p.team)));
+  }
+
+  // The team that won a team game: the first whose players all brought every token home, or
+  // the only one left at the table. Null while undecided and in games without teams.
+  function winningTeam(state) {
+    if (!state.rules.teams) return null;
+    const teams = teamsInPlay(state);
+    const complete = teams.filter((team) => state.players.every((p) => p.team !== team || hasFinished(state, p)));
+    if (complete.length > 0) {
+      // Whoever completed first had their last finisher earlier in the finishing order
+      const completedAt = (team) => Math.max(...state.players.filter((p) => p.team === team).map((p) => state.finishOrder.indexOf(p.id)));
+      return complete.sort((a, b) => completedAt(a) - completedAt(b))[0];
+    }
+    return teams.length === 1 ? teams[0] : null;
+  }
+
+  // The game is over once at most one player still has tokens to bring home;
+  // in team games, once one team has all its tokens home
+  function isGameOver(state) {
+    if (state.rules.teams) return state.players.length > 0 && winningTeam(state) !== null;
+    const remaining = state.players.filter((p) => !hasFinished(state, p)).length;
+    if (state.players.length <= 1) return remaining === 0;
+    return remaining <= 1;
+  }
+
+  // Final standings: finishers in the order they finished, then everyone still playing,
+  // furthest along first. In team games the winning team's players come first.
+  // Each entry is { playerId, place, finished }, plus the player's team in team games.
+  function rankings(state) {
+    const progress = (p) => p.positions.reduce((sum, pos) => sum + pos + 1, 0);
+    const unfinished = state.players
+      .filter((p) => !state.finishOrder.includes(p.id))
+      .sort((a, b) => progress(b) - progress(a));
+    let order = state.finishOrder.map((id) => state.players.find((p) => p.id === id)).concat(unfinished);
+    const winner = winningTeam(state);
+    if (winner !== null) {
+      order = order.filter((p) => p.team === winner).concat(order.filter((p) => p.team !== winner));
+    }
+    return order.map((p, i) => {
+      const entry = { place: i + 1, playerId: p.id, finished: state.finishOrder.includes(p.id) };
+      if (state.rules.teams) entry.team = p.team;
+      return entry;
+    });
+  }
+
+  // Drop a player who left the game, keeping the turn with the right seat.
+  // Leaving forfeits any place they had already finished in.
+  function removePlayer(state, playerId) {
+    const index = state.players.findIndex((p) => p.id === playerId);
+    if (index === -1) return state;
+    let next = cloneState(state);
+    const wasTheirTurn = index === state.turnIndex;
+    next.players.splice(index, 1);
+    next.finishOrder = next.finishOrder.filter((id) => id !== playerId);
+    if (next.players.length === 0) {
+      next.turnIndex = 0;
+      return next;
+    }
+    if (index < state.turnIndex) {
+      next.turnIndex -= 1;
+    }
+    if (wasTheirTurn) {
+      // Hand the turn to whoever sat after them
+      next.turnIndex = (index - 1 + next.players.length) % next.players.length;
+      next = nextTurn(next);
+    }
+    return next;
+  }
+
+  return {
+    COLORS,
+    ALL_COLORS,
+    BOARDS,
+    TEAMS,
+    COLOR_START,
+    SAFE_INDICES,
+    BASE,
+    TRACK_LENGTH,
+    FINISH,
+    TOKENS_PER_PLAYER,
+    MAX_CONSECUTIVE_SIXES,
+    DEFAULT_RULES,
+    normalizeRules,
+    boardFor,
+    teamOf,
+    partnerColor,
+    rollDie,
+    createGame,
+    cloneState,
+    currentPlayer,
+    isTeammate,
+    partnerOf,
+    movingPlayer,
+    computeGlobalIndex,
+    isSafeSquare,
+    isBlockade,
+    movePath,
+    moveTarget,
+    isPlayerFinished,
+    legalMoves,
+    previewMove,
+    nextTurn,
+    applyRoll,
+    roll,
+    applyMove,
+    winningTeam,
+    isGameOver,
+    rankings,
+    removePlayer,
+  };
+});
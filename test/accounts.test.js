@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const Accounts = require('../accounts');
+
+const dirs = [];
+
+// An empty store backed by a file in a fresh temporary directory, removed once the tests are done
+function emptyStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ludo-accounts-'));
+  dirs.push(dir);
+  return Accounts.loadAccounts(path.join(dir, 'accounts.json'));
+}
+
+test.after(() => {
+  dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('register checks the username and password and keeps names unique', async () => {
+  const store = emptyStore();
+  assert.ok((await Accounts.register(store, 'a', 'long enough')).error);
+  assert.ok((await Accounts.register(store, 'bad name', 'long enough')).error);
+  assert.equal((await Accounts.register(store, 'ann', 'short')).error, 'Passwords need at least 8 characters');
+  assert.equal((await Accounts.register(store, 'ann', 'x'.repeat(129))).error, 'Passwords can be at most 128 characters');
+  assert.ok((await Accounts.register(store, 'cal', 'x'.repeat(128))).account);
+  const { account } = await Accounts.register(store, 'Ann', 'long enough');
+  assert.equal(account.rating, Accounts.INITIAL_RATING);
+  assert.notEqual(account.passwordHash, 'long enough');
+  assert.equal((await Accounts.register(store, 'ANN', 'another one')).error, 'That username is taken');
+});
+
+test('register keeps names unique while passwords are being hashed', async () => {
+  const store = emptyStore();
+  const results = await Promise.all([
+    Accounts.register(store, 'ann', 'correct horse'),
+    Accounts.register(store, 'ANN', 'battery staple'),
+  ]);
+  // Whichever hash finishes first gets the name
+  assert.equal(results.filter((r) => r.account).length, 1);
+  assert.deepEqual(results.filter((r) => r.error).map((r) => r.error), ['That username is taken']);
+  assert.equal(Object.keys(store.accounts).length, 1);
+});
+
+test('passwords are checked against the stored hash', async () => {
+  const store = emptyStore();
+  const { account } = await Accounts.register(store, 'ann', 'correct horse');
+  assert.equal(await Accounts.checkPassword(store, 'ANN', 'correct horse'), account);
+  assert.equal(await Accounts.checkPassword(store, 'ann', 'wrong horse'), null);
+  assert.equal(await Accounts.checkPassword(store, 'bob', 'correct horse'), null);
+});
+
+test('sessions identify the account until they expire or end', async () => {
+  const store = emptyStore();
+  const { account } = await Accounts.register(store, 'ann', 'correct horse');
+  const token = Accounts.createSession(store, account, 1000);
+  assert.equal(Accounts.sessionAccount(store, token, 2000), account);
+  assert.equal(Accounts.sessionAccount(store, token, 1000 + Accounts.SESSION_TTL_MS), null);
+  assert.equal(Accounts.sessionAccount(store, 'nope', 2000), null);
+  assert.equal(Accounts.sessionAccount(store, null, 2000), null);
+  Accounts.endSession(store, token);
+  assert.equal(Accounts.sessionAccount(store, token, 2000), null);
+});
+
+test('accounts and live sessions survive a save and reload', async () => {
+  const store = emptyStore();
+  const { account } = await Accounts.register(store, 'ann', 'correct horse');
+  const live = Accounts.createSession(store, account, Date.now());
+  const stale = Accounts.createSession(store, account, 0);
+  Accounts.saveAccounts(store);
+  const reloaded = Accounts.loadAccounts(store.file);
+  assert.deepEqual(reloaded.accounts, store.accounts);
+  assert.equal(Accounts.sessionAccount(reloaded, live).username, 'ann');
+  assert.equal(reloaded.sessions[stale], undefined);
+});
+
+test('eloChanges rewards finishing above stronger players', () => {
+  // Equal ratings: the winner gains what the loser drops
+  assert.deepEqual(Accounts.eloChanges([1500, 1500], [1, 2]), [16, -16]);
+  // An upset moves ratings further than the expected result
+  const [underdog] = Accounts.eloChanges([1400, 1600], [1, 2]);
+  const [favourite] = Accounts.eloChanges([1600, 1400], [1, 2]);
+  assert.ok(underdog > 16 && favourite < 16);
+  // Equal ranks are a draw
+  assert.deepEqual(Accounts.eloChanges([1500, 1500], [1, 1]), [0, 0]);
+  const four = Accounts.eloChanges([1500, 1500, 1500, 1500], [1, 2, 3, 4]);
+  assert.deepEqual(four, [16, 5, -5, -16]);
+  assert.deepEqual(Accounts.eloChanges([1500], [1]), [0]);
+});
+
+test('recordGame updates every profile stat', async () => {
+  const store = emptyStore();
+  const ann = (await Accounts.register(store, 'ann', 'correct horse')).account;
+  const bob = (await Accounts.register(store, 'bob', 'correct horse')).account;
+  const changes = Accounts.recordGame(store, [
+    { accountId: ann.id, place: 1, rank: 1, won: true, captures: 3 },
+    { accountId: bob.id, place: 3, rank: 3, won: false, captures: 1 },
+  ]);
+  assert.deepEqual(changes, [16, -16]);
+  assert.deepEqual(Accounts.publicProfile(ann), {
+    username: 'ann',
+    rating: 1516,
+    gamesPlayed: 1,
+    wins: 1,
+    averagePlace: 1,
+    captures: 3,
+    createdAt: ann.createdAt,
+  });
+  assert.equal(Accounts.publicProfile(bob).averagePlace, 3);
+  assert.equal(bob.rating, 1484);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../shared/rules');
+const Board = require('../shared/board');
+
+test('every board layout gives each square its own cell inside the grid', () => {
+  Object.keys(Rules.BOARDS).forEach((id) => {
+    const board = Rules.BOARDS[id];
+    const layout = Board.LAYOUTS[id];
+    assert.equal(layout.track.length, board.trackLength);
+    const cells = layout.track.slice();
+    board.colors.forEach((color) => {
+      assert.equal(layout.finals[color].length, board.finish - board.trackLength + 1);
+      cells.push(...layout.finals[color], ...layout.homes[color]);
+    });
+    cells.forEach(([r, c]) => {
+      assert.ok(r >= 0 && r < layout.rows && c >= 0 && c < layout.cols, `${id}: ${r},${c} is off the grid`);
+    });
+    assert.equal(new Set(cells.map(([r, c]) => `${r},${c}`)).size, cells.length, `${id} reuses a cell`);
+  });
+});
+
+test('cellFor follows a token from base to the finish', () => {
+  const layout = Board.layoutFor({ board: 'six' });
+  assert.equal(layout.id, 'six');
+  assert.deepEqual(Board.cellFor('orange', 1, -1, layout), layout.homes.orange[1]);
+  assert.deepEqual(Board.cellFor('orange', 0, 0, layout), layout.track[65]);
+  assert.deepEqual(Board.cellFor('orange', 0, 13, layout), layout.track[0]);
+  assert.deepEqual(Board.cellFor('orange', 0, 83, layout), layout.finals.orange[5]);
+  // Without a layout the classic board is used
+  assert.deepEqual(Board.cellFor('red', 0, 0), Board.boardMapping[Rules.COLOR_START.red]);
+});
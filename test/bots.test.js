@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../shared/rules');
+const Bots = require('../shared/bots');
+
+// Red vs yellow with red to move and `roll` pending
+function rolledState(redPositions, yellowPositions, roll) {
+  const state = Rules.createGame([{ id: 'red', color: 'red' }, { id: 'yellow', color: 'yellow' }]);
+  state.players[0].positions = redPositions.slice();
+  state.players[1].positions = yellowPositions.slice();
+  return Rules.applyRoll(state, roll).state;
+}
+
+test('chooseMove returns null when nothing can move', () => {
+  const state = Rules.createGame([{ id: 'a', color: 'red' }, { id: 'b', color: 'green' }]);
+  assert.equal(Bots.chooseMove(state, 'heuristic'), null);
+  assert.equal(Bots.chooseMove(state, 'random'), null);
+});
+
+test('the random bot only picks legal moves', () => {
+  const state = rolledState([55, 10, -1, -1], [-1, -1, -1, -1], 4);
+  for (let i = 0; i < 20; i++) {
+    assert.equal(Bots.chooseMove(state, 'random', () => i / 20), 1);
+  }
+  const wide = rolledState([5, 10, 20, 30], [-1, -1, -1, -1], 3);
+  assert.equal(Bots.chooseMove(wide, 'random', () => 0), 0);
+  assert.equal(Bots.chooseMove(wide, 'random', () => 0.99), 3);
+});
+
+test('the heuristic bot prefers a capture', () => {
+  // Token 1 at 10 can capture yellow at global 14; token 0 just advances
+  const state = rolledState([20, 10, -1, -1], [40, -1, -1, -1], 4);
+  assert.equal(Bots.chooseMove(state, 'heuristic', () => 0), 1);
+});
+
+test('the heuristic bot prefers landing on a safe square', () => {
+  // Token 1 at 5 reaches safe global 8; token 0 at 14 lands on plain global 17
+  const state = rolledState([14, 5, -1, -1], [-1, -1, -1, -1], 3);
+  assert.equal(Bots.chooseMove(state, 'heuristic', () => 0), 1);
+});
+
+test('the heuristic bot moves a threatened token out of danger', () => {
+  // Yellow at global 28 (position 2) is two squares behind red's token on global 30
+  const state = rolledState([30, 15, -1, -1], [2, -1, -1, -1], 5);
+  assert.ok(Bots.isThreatened(state, state.players[0], 30));
+  assert.equal(Bots.chooseMove(state, 'heuristic', () => 0), 0);
+});
+
+test('isThreatened ignores safe squares and home columns', () => {
+  const state = rolledState([8, 53, -1, -1], [30, -1, -1, -1], 1);
+  // Yellow position 30 is global 4, four squares behind safe global 8
+  assert.equal(Bots.isThreatened(state, state.players[0], 8), false);
+  assert.equal(Bots.isThreatened(state, state.players[0], Rules.computeGlobalIndex('red', 53)), false);
+  assert.equal(Bots.isThreatened(state, state.players[0], 9), true);
+});
+
+test('bots play a whole game to the end', () => {
+  let seed = 42;
+  // Small deterministic generator so the game is reproducible
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  let state = Rules.createGame([
+    { id: 'a', color: 'red' },
+    { id: 'b', color: 'green' },
+    { id: 'c', color: 'yellow' },
+  ]);
+  const difficulty = { a: 'heuristic', b: 'random', c: 'heuristic' };
+  let steps = 0;
+  while (!Rules.isGameOver(state) && steps < 20000) {
+    const rolled = Rules.roll(state, () => Rules.rollDie(random));
+    state = rolled.state;
+    if (!rolled.passed) {
+      const tokenIndex = Bots.chooseMove(state, difficulty[Rules.currentPlayer(state).id], random);
+      state = Rules.applyMove(state, tokenIndex).state;
+    }
+    steps++;
+  }
+  assert.ok(Rules.isGameOver(state));
+});
+
+test('bots move their partner\'s tokens and never count a partner as a threat', () => {
+  const state = Rules.createGame(
+    ['red', 'green', 'yellow', 'blue'].map((color) => ({ id: color, color })),
+    { teams: true, partnerMoves: true }
+  );
+  state.players[0].positions = [57, 57, 57, 57];
+  state.finishOrder = ['red'];
+  state.players[2].positions = [10, -1, -1, -1];
+  // Red's partner yellow sits 3 squares behind global 39
+  assert.equal(Bots.isThreatened(state, state.players[0], 39), false);
+  const rolled = Rules.applyRoll(state, 6).state;
+  const move = Rules.applyMove(rolled, Bots.chooseMove(rolled, 'heuristic'));
+  assert.equal(move.playerId, 'yellow');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const Dice = require('../shared/dice');
+
+test('sha256Hex matches node crypto, including multi-block input', () => {
+  ['', 'abc', 'ludo', 'x'.repeat(55), 'x'.repeat(56), 'é'.repeat(100)].forEach((text) => {
+    assert.equal(Dice.sha256Hex(text), crypto.createHash('sha256').update(text).digest('hex'));
+  });
+});
+
+test('hmacSha256Hex matches node crypto, including keys longer than a block', () => {
+  [['key', 'message'], ['k'.repeat(64), 'm'], ['k'.repeat(100), 'long message '.repeat(10)]].forEach(([key, text]) => {
+    assert.equal(Dice.hmacSha256Hex(key, text), crypto.createHmac('sha256', key).update(text).digest('hex'));
+  });
+});
+
+test('rollFor is deterministic and always a die value', () => {
+  const seeds = ['alice', 'bob'];
+  const counts = [0, 0, 0, 0, 0, 0];
+  for (let counter = 0; counter < 600; counter++) {
+    const roll = Dice.rollFor('server-seed', seeds, counter);
+    assert.ok(Number.isInteger(roll) && roll >= 1 && roll <= 6);
+    assert.equal(Dice.rollFor('server-seed', seeds, counter), roll);
+    counts[roll - 1] += 1;
+  }
+  // Every face turns up over a few hundred rolls
+  counts.forEach((count) => assert.ok(count > 50));
+});
+
+test('client seeds change the rolls', () => {
+  const a = [];
+  const b = [];
+  for (let counter = 0; counter < 20; counter++) {
+    a.push(Dice.rollFor('server-seed', ['alice', 'bob'], counter));
+    b.push(Dice.rollFor('server-seed', ['alice', 'carol'], counter));
+  }
+  assert.notDeepEqual(a, b);
+});
+
+test('verifyRolls flags a bad commitment and tampered rolls', () => {
+  const seeds = ['alice', 'bob'];
+  const rolls = [0, 1, 2, 3].map((counter) => ({ counter, roll: Dice.rollFor('secret', seeds, counter) }));
+  const honest = Dice.verifyRolls('secret', Dice.commitment('secret'), seeds, rolls);
+  assert.deepEqual(honest, { commitmentValid: true, checked: 4, mismatches: [] });
+
+  const tampered = rolls.map((r) => Object.assign({}, r));
+  tampered[2].roll = (tampered[2].roll % 6) + 1;
+  const result = Dice.verifyRolls('other', Dice.commitment('secret'), seeds, tampered);
+  assert.equal(result.commitmentValid, false);
+  assert.ok(result.mismatches.length >= 1);
+});
+
+test('verifyLog waits for the server seed to be revealed', () => {
+  const seeds = [{ playerId: 'a', seed: 'alice' }, { playerId: 'b', seed: 'bob' }];
+  const events = [
+    { type: 'start', dice: { commitment: Dice.commitment('secret'), clientSeeds: seeds, serverSeed: null } },
+    { type: 'roll', counter: 0, roll: Dice.rollFor('secret', ['alice', 'bob'], 0) },
+    { type: 'roll', counter: 1, roll: Dice.rollFor('secret', ['alice', 'bob'], 1) },
+  ];
+  assert.equal(Dice.verifyLog({ events }), null);
+  events.push({ type: 'game_over', dice: { commitment: Dice.commitment('secret'), clientSeeds: seeds, serverSeed: 'secret' } });
+  assert.deepEqual(Dice.verifyLog({ events }), { commitmentValid: true, checked: 2, mismatches: [] });
+});
+
+test('checkDice spots a changed commitment, a wrong revealed seed and an ignored client seed', () => {
+  const serverSeed = 'server-seed';
+  const sent = { playerId: 'p1', clientSeed: 'mine', commitment: Dice.commitment(serverSeed) };
+  const dice = { commitment: Dice.commitment(serverSeed), clientSeeds: [{ playerId: 'p1', seed: 'mine' }] };
+  assert.equal(Dice.checkDice(dice, sent), null);
+  assert.equal(Dice.checkDice(Object.assign({}, dice, { serverSeed }), sent), null);
+  // Before the game starts there are no client seeds to look for ours in
+  assert.equal(Dice.checkDice({ commitment: dice.commitment, clientSeeds: null }, sent), null);
+
+  // A server that picked another seed after seeing ours, and committed to that instead
+  const switched = { commitment: Dice.commitment('other-seed'), clientSeeds: dice.clientSeeds };
+  assert.equal(Dice.checkDice(switched, sent), 'commitment_changed');
+  assert.equal(Dice.checkDice(Object.assign({}, switched, { serverSeed: 'other-seed' }), sent), 'commitment_changed');
+  assert.equal(Dice.checkDice(Object.assign({}, dice, { serverSeed: 'other-seed' }), sent), 'seed_mismatch');
+  assert.equal(Dice.checkDice(Object.assign({}, dice, { clientSeeds: [] }), sent), 'seed_ignored');
+  assert.equal(Dice.checkDice(Object.assign({}, dice, { clientSeeds: [{ playerId: 'p1', seed: 'other' }] }), sent), 'seed_ignored');
+  // Players who sent no seed can still check the reveal
+  assert.equal(Dice.checkDice(Object.assign({}, dice, { serverSeed: 'other-seed' }), { playerId: 'p2' }), 'seed_mismatch');
+});
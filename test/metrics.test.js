@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Metrics = require('../metrics');
+
+test('metrics render in Prometheus text format', () => {
+  const metrics = Metrics.createMetrics({
+    ludo_rolls_total: { type: 'counter', help: 'Dice rolled' },
+    ludo_errors_total: { type: 'counter', help: 'Errors sent', labels: ['code'] },
+  });
+  assert.equal(Metrics.render(metrics), [
+    '# HELP ludo_rolls_total Dice rolled',
+    '# TYPE ludo_rolls_total counter',
+    'ludo_rolls_total 0',
+    '# HELP ludo_errors_total Errors sent',
+    '# TYPE ludo_errors_total counter',
+    '',
+  ].join('\n'));
+  Metrics.increment(metrics, 'ludo_rolls_total');
+  Metrics.increment(metrics, 'ludo_rolls_total', {}, 2);
+  Metrics.increment(metrics, 'ludo_errors_total', { code: 'NOT_YOUR_TURN' });
+  Metrics.increment(metrics, 'ludo_errors_total', { code: 'NOT_YOUR_TURN' });
+  Metrics.increment(metrics, 'ludo_errors_total', { code: 'say "hi"\\\n' });
+  const lines = Metrics.render(metrics).split('\n');
+  assert.ok(lines.includes('ludo_rolls_total 3'));
+  assert.ok(lines.includes('ludo_errors_total{code="NOT_YOUR_TURN"} 2'));
+  assert.ok(lines.includes('ludo_errors_total{code="say \\"hi\\"\\\\\\n"} 1'));
+});
+
+test('gauges can be set and cleared', () => {
+  const metrics = Metrics.createMetrics({
+    ludo_rooms: { type: 'gauge', help: 'Open rooms', labels: ['state'] },
+  });
+  Metrics.set(metrics, 'ludo_rooms', { state: 'lobby' }, 2);
+  Metrics.set(metrics, 'ludo_rooms', { state: 'lobby' }, 4);
+  assert.match(Metrics.render(metrics), /^ludo_rooms\{state="lobby"\} 4$/m);
+  Metrics.clear(metrics, 'ludo_rooms');
+  assert.doesNotMatch(Metrics.render(metrics), /^ludo_rooms\{/m);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Protocol = require('../shared/protocol');
+
+test('valid client messages pass and report who may send them', () => {
+  const join = Protocol.validateClientMessage({ type: 'join', roomId: 'abc123', name: 'Ann', protocol: 1 });
+  assert.equal(join.ok, true);
+  assert.equal(join.spec.requires, 'none');
+  const move = Protocol.validateClientMessage({ type: 'move', tokenIndex: 2 });
+  assert.equal(move.ok, true);
+  assert.equal(move.spec.requires, 'player');
+});
+
+test('quick match joins need no room id', () => {
+  assert.equal(Protocol.validateClientMessage({ type: 'join', mode: 'quick', name: 'Ann' }).ok, true);
+  assert.equal(Protocol.validateClientMessage({ type: 'join', roomId: 'abc', visibility: 'public' }).ok, true);
+});
+
+test('host controls are declared for seated players only', () => {
+  ['kick', 'transfer_host', 'lock_room', 'set_password', 'set_color'].forEach((type) => {
+    assert.equal(Protocol.CLIENT_MESSAGES[type].requires, 'player');
+  });
+  assert.equal(Protocol.validateClientMessage({ type: 'set_password', password: null }).ok, true);
+  assert.equal(Protocol.validateClientMessage({ type: 'set_password' }).ok, false);
+  assert.equal(Protocol.validateClientMessage({ type: 'lock_room', locked: 'yes' }).ok, false);
+  assert.equal(Protocol.validateClientMessage({ type: 'set_color', playerId: 'p1', color: 'pink' }).ok, false);
+});
+
+test('chat is open to spectators but reactions need a seat', () => {
+  assert.equal(Protocol.CLIENT_MESSAGES.chat.requires, 'member');
+  assert.equal(Protocol.CLIENT_MESSAGES.react.requires, 'player');
+  assert.equal(Protocol.validateClientMessage({ type: 'chat', text: 'gg' }).ok, true);
+  assert.equal(Protocol.validateClientMessage({ type: 'chat', text: 'x'.repeat(Protocol.CHAT_MAX_LENGTH + 1) }).ok, false);
+  assert.equal(Protocol.validateClientMessage({ type: 'react', reaction: 'laugh' }).ok, true);
+  assert.equal(Protocol.validateClientMessage({ type: 'react', reaction: 'wave' }).ok, false);
+  const chat = { type: 'chat', seq: 1, senderId: 's1', name: 'Watcher', color: null, text: 'hi', time: 1 };
+  assert.equal(Protocol.validateServerMessage(chat).ok, true);
+});
+
+test('unknown or malformed messages are rejected with a code', () => {
+  assert.equal(Protocol.validateClientMessage(null).code, 'INVALID_MESSAGE');
+  assert.equal(Protocol.validateClientMessage([1, 2]).code, 'INVALID_MESSAGE');
+  assert.equal(Protocol.validateClientMessage({ type: 'teleport' }).code, 'UNKNOWN_TYPE');
+  assert.equal(Protocol.validateClientMessage({ type: 'toString' }).code, 'UNKNOWN_TYPE');
+  assert.equal(Protocol.validateClientMessage({ roomId: 'x' }).code, 'UNKNOWN_TYPE');
+});
+
+test('fields are type- and range-checked', () => {
+  const problems = [
+    { type: 'join', mode: 'solo' },
+    { type: 'join', roomId: 'abc', visibility: 'hidden' },
+    { type: 'join', roomId: '' },
+    { type: 'join', roomId: 'x'.repeat(33) },
+    { type: 'join', roomId: 'a b' },
+    { type: 'join', roomId: 'abc', color: 'pink' },
+    { type: 'join', roomId: 'abc', protocol: '1' },
+    { type: 'move', tokenIndex: '1' },
+    { type: 'move', tokenIndex: 1.5 },
+    { type: 'move', tokenIndex: 4 },
+    { type: 'move', tokenIndex: -1 },
+    { type: 'move' },
+    { type: 'ready', clientSeed: 'a:b' },
+    { type: 'set_rules', rules: null },
+  ];
+  problems.forEach((data) => {
+    const result = Protocol.validateClientMessage(data);
+    assert.equal(result.ok, false, JSON.stringify(data));
+    assert.equal(result.code, 'INVALID_MESSAGE');
+    assert.equal(typeof result.message, 'string');
+  });
+});
+
+test('server messages are declared too', () => {
+  assert.equal(Protocol.validateServerMessage({ type: 'turn', seq: 1, playerId: null, deadline: null, timeLeft: null }).ok, true);
+  assert.equal(Protocol.validateServerMessage({ type: 'roll_result', playerId: 'a', counter: 0, roll: 7, moves: [], previews: [] }).ok, false);
+  assert.equal(Protocol.validateServerMessage(Protocol.errorMessage('NOT_YOUR_TURN', 'roll')).ok, true);
+});
+
+test('room broadcasts are numbered and anyone in the room can ask for a snapshot', () => {
+  const turn = { type: 'turn', playerId: 'a', deadline: null, timeLeft: null };
+  assert.equal(Protocol.validateServerMessage(turn).ok, false);
+  assert.equal(Protocol.validateServerMessage(Object.assign({ seq: 0 }, turn)).ok, false);
+  const check = Protocol.validateServerMessage(Object.assign({ seq: 4 }, turn));
+  assert.equal(check.ok, true);
+  assert.equal(check.spec.sequenced, true);
+  const sync = Protocol.validateServerMessage({ type: 'sync', seq: 0, state: {} });
+  assert.equal(sync.ok, true);
+  assert.equal(sync.spec.sequenced, undefined);
+  assert.equal(Protocol.validateServerMessage(Protocol.errorMessage('NOT_IN_ROOM', 'sync')).spec.sequenced, undefined);
+  assert.equal(Protocol.CLIENT_MESSAGES.sync.requires, 'member');
+});
+
+test('take-backs are asked for and answered from a seat', () => {
+  assert.equal(Protocol.CLIENT_MESSAGES.request_undo.requires, 'player');
+  assert.equal(Protocol.CLIENT_MESSAGES.answer_undo.requires, 'player');
+  assert.equal(Protocol.validateClientMessage({ type: 'answer_undo', accept: true }).ok, true);
+  assert.equal(Protocol.validateClientMessage({ type: 'answer_undo' }).ok, false);
+  assert.equal(Protocol.validateClientMessage({ type: 'set_undo', allowed: 'no' }).ok, false);
+  const declined = { type: 'undo_declined', seq: 3, playerId: 'a', declinedBy: null };
+  assert.equal(Protocol.validateServerMessage(declined).ok, true);
+});
+
+test('errorMessage fills in the default text for a code', () => {
+  assert.deepEqual(Protocol.errorMessage('ROOM_FULL', 'join'), {
+    type: 'error',
+    code: 'ROOM_FULL',
+    message: Protocol.ERROR_MESSAGES.ROOM_FULL,
+    requestType: 'join',
+  });
+  assert.equal(Protocol.errorMessage('NOT_HOST', null, 'Custom').message, 'Custom');
+});
+
+test('negotiateVersion accepts supported versions and treats a missing one as 1', () => {
+  assert.equal(Protocol.negotiateVersion(undefined), 1);
+  assert.equal(Protocol.negotiateVersion(Protocol.PROTOCOL_VERSION), Protocol.PROTOCOL_VERSION);
+  assert.equal(Protocol.negotiateVersion(99), null);
+});
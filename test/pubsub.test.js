@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PubSub = require('../pubsub');
+
+// A stand-in for a Redis server with just the commands the adapter uses, and clients for it
+// with the API of the `redis` package
+function fakeRedis() {
+  const keys = new Map();
+  const hashes = new Map();
+  const subscriptions = new Map();
+
+  function live(key) {
+    const entry = keys.get(key);
+    if (entry && (entry.expires === null || entry.expires > Date.now())) return entry;
+    keys.delete(key);
+    return null;
+  }
+
+  function hash(name) {
+    if (!hashes.has(name)) hashes.set(name, new Map());
+    return hashes.get(name);
+  }
+
+  function createClient() {
+    return {
+      set(key, value, options = {}) {
+        if (options.NX && live(key)) return Promise.resolve(null);
+        keys.set(key, { value, expires: options.PX ? Date.now() + options.PX : null });
+        return Promise.resolve('OK');
+      },
+      get: (key) => Promise.resolve(live(key) ? live(key).value : null),
+      pExpire(key, ms) {
+        const entry = live(key);
+        if (entry) entry.expires = Date.now() + ms;
+        return Promise.resolve(entry ? 1 : 0);
+      },
+      del: (key) => Promise.resolve(keys.delete(key) ? 1 : 0),
+      publish(channel, message) {
+        const listeners = subscriptions.get(channel) || [];
+        setImmediate(() => listeners.forEach((listener) => listener(message, channel)));
+        return Promise.resolve(listeners.length);
+      },
+      subscribe(channel, listener) {
+        subscriptions.set(channel, (subscriptions.get(channel) || []).concat(listener));
+        return Promise.resolve();
+      },
+      unsubscribe(channel) {
+        subscriptions.delete(channel);
+        return Promise.resolve();
+      },
+      hSet: (name, field, value) => Promise.resolve(hash(name).set(field, value) && 1),
+      hGet: (name, field) => Promise.resolve(hash(name).get(field)),
+      hGetAll: (name) => Promise.resolve(Object.fromEntries(hash(name))),
+      hDel: (name, field) => Promise.resolve(hash(name).delete(field) ? 1 : 0),
+    };
+  }
+
+  return { createClient };
+}
+
+const backends = {
+  memory: () => PubSub.createMemoryBackend(),
+  redis: () => {
+    const server = fakeRedis();
+    return PubSub.createRedisBackend(server.createClient(), server.createClient());
+  },
+};
+
+// Published messages go out on a later tick; this resolves once the ones already sent are in
+const delivered = () => new Promise((resolve) => setImmediate(resolve));
+
+Object.keys(backends).forEach((kind) => {
+  test(`${kind} backend delivers published messages in order to the channel's subscriber`, async () => {
+    const backend = backends[kind]();
+    const received = [];
+    await backend.subscribe('instance:a', (message) => received.push(message));
+    await backend.publish('instance:a', 'one');
+    await backend.publish('instance:a', 'two');
+    await backend.publish('instance:b', 'elsewhere');
+    await delivered();
+    assert.deepEqual(received, ['one', 'two']);
+    await backend.unsubscribe('instance:a');
+    await backend.publish('instance:a', 'three');
+    await delivered();
+    assert.deepEqual(received, ['one', 'two']);
+  });
+
+  test(`${kind} backend delivers to every subscriber of a channel`, async () => {
+    const backend = backends[kind]();
+    const received = [];
+    await backend.subscribe('notices', (message) => received.push(`first ${message}`));
+    await backend.subscribe('notices', (message) => received.push(`second ${message}`));
+    await backend.publish('notices', 'hello');
+    await delivered();
+    assert.deepEqual(received, ['first hello', 'second hello']);
+  });
+
+  test(`${kind} backend gives a key to one owner at a time until the hold runs out`, async (t) => {
+    // Holds run out by the clock, which only moves when the test says so
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const backend = backends[kind]();
+    assert.equal(await backend.claim('owner:abc', 'a', 3000), 'a');
+    assert.equal(await backend.claim('owner:abc', 'b', 3000), 'a');
+    assert.equal(await backend.holder('owner:abc'), 'a');
+    // Claiming again keeps the key
+    t.mock.timers.tick(2000);
+    assert.equal(await backend.claim('owner:abc', 'a', 3000), 'a');
+    t.mock.timers.tick(2000);
+    assert.equal(await backend.claim('owner:abc', 'b', 3000), 'a');
+    // Only the holder can release it
+    await backend.release('owner:abc', 'b');
+    assert.equal(await backend.holder('owner:abc'), 'a');
+    await backend.release('owner:abc', 'a');
+    assert.equal(await backend.holder('owner:abc'), null);
+    assert.equal(await backend.claim('owner:abc', 'b', 3000), 'b');
+    t.mock.timers.tick(2999);
+    assert.equal(await backend.holder('owner:abc'), 'b');
+    t.mock.timers.tick(1);
+    assert.equal(await backend.holder('owner:abc'), null);
+    assert.equal(await backend.claim('owner:abc', 'a', 3000), 'a');
+  });
+
+  test(`${kind} backend keeps fields in hashes`, async () => {
+    const backend = backends[kind]();
+    await backend.setField('rooms', 'abc', '{"id":"abc"}');
+    await backend.setField('rooms', 'def', '{"id":"def"}');
+    await backend.setField('lobby', 'abc', '{}');
+    assert.equal(await backend.getField('rooms', 'abc'), '{"id":"abc"}');
+    assert.equal(await backend.getField('rooms', 'xyz'), null);
+    await backend.deleteField('rooms', 'def');
+    assert.deepEqual(await backend.getFields('rooms'), { abc: '{"id":"abc"}' });
+    assert.deepEqual(await backend.getFields('empty'), {});
+  });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const RoomStore = require('../room-store');
+
+const dirs = [];
+
+// A fresh, empty store directory, removed once the tests are done
+function tempStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ludo-rooms-'));
+  dirs.push(dir);
+  return dir;
+}
+
+test.after(() => {
+  dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('saved rooms load back as they were written', () => {
+  const dir = tempStore();
+  const room = { id: 'abc', updatedAt: 1000, players: [{ id: 'p1', positions: [-1, 3] }], game: null };
+  RoomStore.saveRoom(dir, room);
+  RoomStore.saveRoom(dir, Object.assign({}, room, { id: 'def' }));
+  const loaded = RoomStore.loadRooms(dir, 500, 1200);
+  assert.deepEqual(loaded.map((r) => r.id).sort(), ['abc', 'def']);
+  assert.deepEqual(loaded.find((r) => r.id === 'abc'), room);
+  RoomStore.deleteRoom(dir, 'def');
+  assert.deepEqual(RoomStore.loadRooms(dir, 500, 1200).map((r) => r.id), ['abc']);
+});
+
+test('rooms idle for longer than the TTL are dropped from the store', () => {
+  const dir = tempStore();
+  RoomStore.saveRoom(dir, { id: 'old', updatedAt: 1000 });
+  RoomStore.saveRoom(dir, { id: 'new', updatedAt: 5000 });
+  assert.deepEqual(RoomStore.loadRooms(dir, 2000, 6000).map((r) => r.id), ['new']);
+  assert.deepEqual(fs.readdirSync(dir), ['new.json']);
+});
+
+test('broken files and interrupted writes are cleaned up', () => {
+  const dir = tempStore();
+  fs.writeFileSync(path.join(dir, 'bad.json'), '{"id":');
+  fs.writeFileSync(path.join(dir, 'half.json.tmp'), '{}');
+  assert.deepEqual(RoomStore.loadRooms(dir, 1000), []);
+  assert.deepEqual(fs.readdirSync(dir), []);
+  // A missing directory is just an empty store
+  assert.deepEqual(RoomStore.loadRooms(path.join(dir, 'missing'), 1000), []);
+});
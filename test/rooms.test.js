@@ -0,0 +1,643 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Rooms are saved as they change; keep them out of the real store
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ludo-rooms-'));
+process.env.ROOM_STORE_DIR = dir;
+
+const Rooms = require('../rooms');
+const PubSub = require('../pubsub');
+const Accounts = require('../accounts');
+const Rules = require('../shared/rules');
+const Board = require('../shared/board');
+
+const backend = PubSub.createMemoryBackend();
+const accountStore = Accounts.loadAccounts(path.join(dir, 'accounts.json'));
+test.before(() => Rooms.start(backend, accountStore));
+
+// Room clocks run on fake time, moved on by mock.timers.tick
+test.beforeEach(() => {
+  test.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+});
+
+test.afterEach(() => {
+  test.mock.timers.reset();
+});
+
+test.after(() => {
+  Rooms.stop();
+  // Rooms changed by the last test are written first, so nothing lands in the store once it is gone
+  return Rooms.releaseRooms().then(() => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+// Stand-in for a client's WebSocket. Everything sent to it is kept in `received`.
+function fakeSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.received = [];
+  ws.send = (text) => ws.received.push(JSON.parse(text));
+  ws.close = () => {
+    if (ws.readyState !== 1) return;
+    ws.readyState = 3;
+    ws.emit('close');
+  };
+  ws.request = (data) => ws.emit('message', JSON.stringify(data));
+  ws.last = (type) => ws.received.filter((m) => m.type === type).pop();
+  return ws;
+}
+
+// A client talking straight to the connection handler
+function connect(account = null, address = null) {
+  const ws = fakeSocket();
+  Rooms.handleConnection(ws, account, address);
+  return ws;
+}
+
+// A client connected to a server instance the way server.js connects them, through
+// routeConnection. Its messages are handled once they settle.
+function connectRouted(instance = Rooms, account = null, address = null) {
+  const ws = fakeSocket();
+  instance.routeConnection(ws, account, address);
+  return ws;
+}
+
+// Let messages through the backend, and whatever they set off, settle
+function settle(ticks = 10) {
+  return ticks === 0 ? Promise.resolve() : new Promise((resolve) => setImmediate(resolve)).then(() => settle(ticks - 1));
+}
+
+// Seat a player for each name in a new room, in that order, and start the game
+function startGame(roomId, names, rules = {}) {
+  const clients = names.map((name) => {
+    const ws = connect();
+    ws.request({ type: 'join', roomId, name, protocol: 1, rules });
+    return ws;
+  });
+  clients.forEach((ws, i) => ws.request({ type: 'ready', clientSeed: `seed-${i}` }));
+  clients[0].request({ type: 'start' });
+  const room = Rooms.rooms.get(roomId);
+  assert.ok(room.game, 'the game started');
+  return { room, clients, ids: clients.map((ws) => ws.last('joined').playerId) };
+}
+
+// Move tokens where a test needs them, by player id
+function place(room, positions) {
+  room.game = Object.assign({}, room.game, {
+    players: room.game.players.map((p) => (positions[p.id] ? Object.assign({}, p, { positions: positions[p.id] }) : p)),
+  });
+}
+
+// Position on `color`'s own track of the square `pos` squares along `from`'s track
+function sameSquare(from, pos, color) {
+  const board = Rules.BOARDS.classic;
+  return (Rules.computeGlobalIndex(from, pos) - board.colorStart[color] + board.trackLength) % board.trackLength;
+}
+
+// Roll for the first player, whose token 0 is out on the track so any roll can move it, and
+// put the second player's token 0 where that move lands. Returns the roll.
+function rollOntoOpponent({ room, clients, ids }) {
+  place(room, { [ids[0]]: [1, Rules.BASE, Rules.BASE, Rules.BASE] });
+  clients[0].request({ type: 'roll' });
+  const { roll } = clients[0].last('roll_result');
+  const opponent = room.game.players.find((p) => p.id === ids[1]);
+  place(room, { [ids[1]]: [sameSquare('red', 1 + roll, opponent.color), Rules.BASE, Rules.BASE, Rules.BASE] });
+  return roll;
+}
+
+test('a take-back puts captured tokens back and hands the roll and a fresh clock to the mover', () => {
+  const game = startGame('undo-capture', ['Ann', 'Bob']);
+  const { room, clients: [ann, bob], ids: [annId, bobId] } = game;
+  const roll = rollOntoOpponent(game);
+  const before = room.game.players.map((p) => p.positions.slice());
+  ann.request({ type: 'move', tokenIndex: 0 });
+  assert.equal(ann.last('state_update').captures.length, 1);
+  assert.equal(room.game.players[1].positions[0], Rules.BASE);
+
+  test.mock.timers.tick(10000);
+  ann.request({ type: 'request_undo' });
+  assert.equal(bob.last('undo_requested').playerId, annId);
+  assert.deepEqual(bob.last('undo_requested').waitingFor, [bobId]);
+  bob.request({ type: 'answer_undo', accept: true });
+
+  const undone = ann.last('move_undone');
+  assert.equal(undone.playerId, annId);
+  assert.equal(undone.roll, roll);
+  assert.ok(undone.moves.includes(0));
+  assert.deepEqual(undone.state.map((p) => p.positions), before);
+  assert.deepEqual(room.game.players.map((p) => p.positions), before);
+  assert.equal(room.game.currentRoll, roll);
+  assert.equal(room.undoRequest, null);
+  assert.deepEqual(room.undoHistory, []);
+  // The clock starts over for the mover, who can play the roll again
+  assert.equal(Rooms.turnPlayerId(room), annId);
+  assert.equal(undone.timeLeft, 30000);
+  ann.request({ type: 'move', tokenIndex: 0 });
+  assert.equal(ann.last('error'), undefined);
+  assert.equal(ann.received.filter((m) => m.type === 'state_update').length, 2);
+});
+
+test('a take-back of a finishing move takes the player off the finishing order once everyone accepts', () => {
+  const { room, clients: [ann, bob, cat], ids: [annId, bobId, catId] } = startGame('undo-finish', ['Ann', 'Bob', 'Cat'], { tokensPerPlayer: 2 });
+  place(room, { [annId]: [Rules.FINISH, 51] });
+  ann.request({ type: 'roll' });
+  const { roll } = ann.last('roll_result');
+  place(room, { [annId]: [Rules.FINISH, Rules.FINISH - roll] });
+  ann.request({ type: 'move', tokenIndex: 1 });
+  assert.deepEqual(room.game.finishOrder, [annId]);
+  assert.equal(ann.last('player_finished').playerId, annId);
+
+  ann.request({ type: 'request_undo' });
+  assert.deepEqual(room.undoRequest.waitingFor, [bobId, catId]);
+  bob.request({ type: 'answer_undo', accept: true });
+  assert.deepEqual(room.undoRequest.waitingFor, [catId]);
+  assert.equal(ann.last('move_undone'), undefined);
+  cat.request({ type: 'answer_undo', accept: true });
+  const undone = ann.last('move_undone');
+  assert.deepEqual(undone.finishOrder, []);
+  assert.deepEqual(room.game.finishOrder, []);
+  assert.deepEqual(room.game.players[0].positions, [Rules.FINISH, Rules.FINISH - roll]);
+});
+
+test('a declined take-back leaves the move standing', () => {
+  const game = startGame('undo-decline', ['Ann', 'Bob']);
+  const { room, clients: [ann, bob], ids: [annId, bobId] } = game;
+  rollOntoOpponent(game);
+  ann.request({ type: 'move', tokenIndex: 0 });
+  const after = room.game;
+  ann.request({ type: 'request_undo' });
+  ann.request({ type: 'request_undo' });
+  assert.equal(ann.last('error').code, 'UNDO_PENDING');
+  // Only those asked may answer
+  ann.request({ type: 'answer_undo', accept: true });
+  assert.equal(ann.last('error').code, 'NO_UNDO_REQUEST');
+  bob.request({ type: 'answer_undo', accept: false });
+  assert.deepEqual(ann.last('undo_declined'), { type: 'undo_declined', playerId: annId, declinedBy: bobId, seq: room.seq });
+  assert.equal(room.game, after);
+  assert.equal(room.undoRequest, null);
+  assert.equal(ann.last('move_undone'), undefined);
+});
+
+test('only the last mover may ask, and not once the next roll is made', () => {
+  const game = startGame('undo-roll', ['Ann', 'Bob']);
+  const { room, clients: [ann, bob], ids: [annId] } = game;
+  ann.request({ type: 'request_undo' });
+  assert.equal(ann.last('error').code, 'NOTHING_TO_UNDO');
+  rollOntoOpponent(game);
+  ann.request({ type: 'move', tokenIndex: 0 });
+  bob.request({ type: 'request_undo' });
+  assert.equal(bob.last('error').code, 'NOTHING_TO_UNDO');
+  ann.request({ type: 'request_undo' });
+  assert.ok(room.undoRequest);
+  // A capture earns another roll, which drops the pending request and the history with it
+  assert.equal(Rooms.turnPlayerId(room), annId);
+  ann.request({ type: 'roll' });
+  assert.deepEqual(bob.last('undo_declined').declinedBy, null);
+  assert.equal(room.undoRequest, null);
+  assert.deepEqual(room.undoHistory, []);
+});
+
+test('a player leaving drops the pending take-back', () => {
+  const game = startGame('undo-leave', ['Ann', 'Bob', 'Cat']);
+  const { room, clients: [ann, bob], ids: [annId, , catId] } = game;
+  rollOntoOpponent(game);
+  ann.request({ type: 'move', tokenIndex: 0 });
+  ann.request({ type: 'request_undo' });
+  assert.ok(room.undoRequest);
+  ann.request({ type: 'kick', playerId: catId });
+  assert.equal(room.players.length, 2);
+  assert.equal(room.undoRequest, null);
+  assert.equal(bob.last('undo_declined').playerId, annId);
+  ann.request({ type: 'request_undo' });
+  assert.equal(ann.last('error').code, 'NOTHING_TO_UNDO');
+});
+
+test('a take-back nobody answers is dropped after a while, and a waiting bot plays on', () => {
+  const ann = connect();
+  ann.request({ type: 'join', roomId: 'undo-expire', name: 'Ann', protocol: 1 });
+  ann.request({ type: 'add_bot', difficulty: 'random' });
+  const bob = connect();
+  bob.request({ type: 'join', roomId: 'undo-expire', name: 'Bob', protocol: 1 });
+  [ann, bob].forEach((ws) => ws.request({ type: 'ready' }));
+  ann.request({ type: 'start' });
+  const room = Rooms.rooms.get('undo-expire');
+  const [annId, botId] = room.players.map((p) => p.id);
+  place(room, { [annId]: [1, Rules.BASE, Rules.BASE, Rules.BASE] });
+  ann.request({ type: 'roll' });
+  // Anything but a six, so the turn passes to the bot
+  room.game = Object.assign({}, room.game, { currentRoll: 3 });
+  ann.request({ type: 'move', tokenIndex: 0 });
+  assert.equal(Rooms.turnPlayerId(room), botId);
+  ann.request({ type: 'request_undo' });
+
+  test.mock.timers.tick(14000);
+  assert.ok(room.undoRequest);
+  assert.equal(ann.received.some((m) => m.type === 'roll_result' && m.playerId === botId), false);
+  test.mock.timers.tick(1000);
+  assert.equal(room.undoRequest, null);
+  assert.equal(ann.last('undo_declined').playerId, annId);
+  assert.equal(ann.last('undo_declined').declinedBy, null);
+  test.mock.timers.tick(1000);
+  assert.ok(ann.received.some((m) => m.type === 'roll_result' && m.playerId === botId));
+});
+
+test('answering a take-back stops its clock', () => {
+  const game = startGame('undo-answered', ['Ann', 'Bob']);
+  const { room, clients: [ann, bob] } = game;
+  rollOntoOpponent(game);
+  ann.request({ type: 'move', tokenIndex: 0 });
+  ann.request({ type: 'request_undo' });
+  bob.request({ type: 'answer_undo', accept: true });
+  assert.equal(room.undoTimer, null);
+  const seen = ann.received.length;
+  test.mock.timers.tick(15000);
+  assert.equal(ann.received.slice(seen).filter((m) => m.type === 'undo_declined').length, 0);
+});
+
+// Roll for the client's player and move their one token out on the track by three, whatever was
+// rolled: no six and nothing to capture, so the turn passes on
+function playThree(room, ws) {
+  const playerId = ws.last('joined').playerId;
+  const base = new Array(4).fill(Rules.BASE);
+  place(room, Object.fromEntries(room.game.players.map((p) => [p.id, p.id === playerId ? [1].concat(base.slice(1)) : base])));
+  ws.request({ type: 'roll' });
+  room.game = Object.assign({}, room.game, { currentRoll: 3 });
+  ws.request({ type: 'move', tokenIndex: 0 });
+}
+
+test('the server plays for a player whose clock runs out', () => {
+  const { room, clients: [ann, bob], ids: [annId, bobId] } = startGame('timeout', ['Ann', 'Bob']);
+  assert.equal(room.turnDeadline, Date.now() + 30000);
+  test.mock.timers.tick(29999);
+  assert.equal(bob.last('turn_timeout'), undefined);
+  test.mock.timers.tick(1);
+  assert.equal(bob.last('turn_timeout').playerId, annId);
+  assert.equal(bob.last('turn_timeout').missedTurns, 1);
+  assert.equal(bob.last('roll_result').playerId, annId);
+  // The roll was used (or passed) and whoever is on turn now has a fresh clock
+  assert.equal(room.game.currentRoll, 0);
+  assert.equal(room.turnDeadline, Date.now() + 30000);
+  // Acting again clears the count
+  if (Rooms.turnPlayerId(room) === bobId) playThree(room, bob);
+  ann.request({ type: 'roll' });
+  assert.equal(room.players[0].missedTurns, 0);
+});
+
+test('a player who misses several turns in a row is skipped until they are back', () => {
+  const { room, clients: [ann, bob], ids: [annId, bobId] } = startGame('inactive', ['Ann', 'Bob']);
+  const bobSeat = room.players[1];
+  for (let i = 0; i < 20 && !bobSeat.inactive; i++) {
+    if (Rooms.turnPlayerId(room) === annId) {
+      playThree(room, ann);
+    } else {
+      test.mock.timers.tick(30000);
+    }
+  }
+  assert.equal(bobSeat.inactive, true);
+  assert.equal(bobSeat.missedTurns, 3);
+  assert.equal(ann.last('player_list').players[1].inactive, true);
+  // Bob's turns go by without waiting for his clock
+  if (Rooms.turnPlayerId(room) === bobId) test.mock.timers.tick(30000);
+  playThree(room, ann);
+  assert.equal(Rooms.turnPlayerId(room), annId);
+  assert.equal(ann.last('turn').playerId, annId);
+
+  bob.request({ type: 'active' });
+  assert.equal(bobSeat.inactive, false);
+  assert.equal(bobSeat.missedTurns, 0);
+  assert.equal(ann.last('player_list').players[1].inactive, false);
+  playThree(room, ann);
+  assert.equal(Rooms.turnPlayerId(room), bobId);
+});
+
+test('players who walk out of a game are rated below everyone who saw it through', async () => {
+  const accounts = await Promise.all(['ann', 'bob', 'cid'].map((name) => Accounts.register(accountStore, `${name}-walks`, 'correct horse')));
+  const [ann, bob, cid] = accounts.map(({ account }) => connect(account));
+  [ann, bob, cid].forEach((ws) => ws.request({ type: 'join', roomId: 'walkout', protocol: 1 }));
+  [ann, bob, cid].forEach((ws) => ws.request({ type: 'ready' }));
+  ann.request({ type: 'start' });
+  assert.ok(Rooms.rooms.get('walkout').game);
+
+  // Bob, then Cid, leave and don't come back within the grace period
+  bob.close();
+  test.mock.timers.tick(60000);
+  cid.close();
+  test.mock.timers.tick(60000);
+  const [annAccount, bobAccount, cidAccount] = accounts.map(({ account }) => account);
+  assert.deepEqual(ann.last('game_over').rankings.map((r) => [r.name, r.place, r.ratingChange]), [['ann-walks', 1, 16]]);
+  assert.deepEqual([annAccount, cidAccount, bobAccount].map((a) => [a.gamesPlayed, a.wins, a.totalPlace, a.rating]), [
+    [1, 1, 1, 1516],
+    [1, 0, 2, 1500],
+    [1, 0, 3, 1484],
+  ]);
+});
+
+test('only the seeds clients picked go into the dice', () => {
+  const ann = connect();
+  const bob = connect();
+  ann.request({ type: 'join', roomId: 'seeds', name: 'Ann', protocol: 1 });
+  bob.request({ type: 'join', roomId: 'seeds', name: 'Bob', protocol: 1 });
+  ann.request({ type: 'ready', clientSeed: 'anns-seed' });
+  bob.request({ type: 'ready' });
+  ann.request({ type: 'start' });
+  const room = Rooms.rooms.get('seeds');
+  assert.deepEqual(room.dice.clientSeeds, [{ playerId: ann.last('joined').playerId, seed: 'anns-seed' }]);
+});
+
+test('teams can only be chosen in team games', () => {
+  const ann = connect();
+  ann.request({ type: 'join', roomId: 'no-teams', name: 'Ann', protocol: 1 });
+  const color = Rooms.rooms.get('no-teams').players[0].color;
+  ann.request({ type: 'choose_team', team: 1 - Rules.teamOf(color) });
+  assert.equal(ann.last('error').code, 'NOT_TEAM_GAME');
+  assert.equal(Rooms.rooms.get('no-teams').players[0].color, color);
+
+  const bob = connect();
+  bob.request({ type: 'join', roomId: 'teams', name: 'Bob', protocol: 1, rules: { teams: true } });
+  const team = 1 - Rules.teamOf(Rooms.rooms.get('teams').players[0].color);
+  bob.request({ type: 'choose_team', team });
+  assert.equal(bob.last('error'), undefined);
+  assert.equal(Rules.teamOf(Rooms.rooms.get('teams').players[0].color), team);
+});
+
+test('kicked players cannot come back under their account', async () => {
+  const { account } = await Accounts.register(accountStore, 'kicked-kim', 'correct horse');
+  const host = connect(null, '10.0.0.1');
+  host.request({ type: 'join', roomId: 'kicks', name: 'Host', protocol: 1 });
+  const kim = connect(account, '10.0.0.2');
+  kim.request({ type: 'join', roomId: 'kicks', protocol: 1 });
+  const guest = connect(null, '10.0.0.3');
+  guest.request({ type: 'join', roomId: 'kicks', name: 'Guest', protocol: 1 });
+  host.request({ type: 'kick', playerId: kim.last('joined').playerId });
+  host.request({ type: 'kick', playerId: guest.last('joined').playerId });
+
+  const again = connect(account, '10.0.0.9');
+  again.request({ type: 'join', roomId: 'kicks', protocol: 1 });
+  assert.equal(again.last('error').code, 'KICKED');
+  again.request({ type: 'join', roomId: 'kicks', mode: 'spectate', protocol: 1 });
+  assert.equal(again.last('error').code, 'KICKED');
+
+  // Addresses are shared, by households and by everyone behind a proxy, so they are let in
+  const sameAddress = connect(null, '10.0.0.2');
+  sameAddress.request({ type: 'join', roomId: 'kicks', name: 'Someone', protocol: 1 });
+  assert.equal(sameAddress.last('joined').roomId, 'kicks');
+  assert.deepEqual(Rooms.rooms.get('kicks').kicked, [{ accountId: account.id, address: null }]);
+});
+
+test('with KICK_BANS_ADDRESS on, kicked players cannot come back from their address either', async () => {
+  process.env.KICK_BANS_ADDRESS = '1';
+  const other = secondInstance();
+  delete process.env.KICK_BANS_ADDRESS;
+  await other.start(backend, accountStore);
+  try {
+    const host = connectRouted(other, null, '10.0.1.1');
+    host.request({ type: 'join', roomId: 'address-kicks', name: 'Host', protocol: 1 });
+    await settle();
+    const guest = connectRouted(other, null, '10.0.1.2');
+    guest.request({ type: 'join', roomId: 'address-kicks', name: 'Guest', protocol: 1 });
+    await settle();
+    host.request({ type: 'kick', playerId: guest.last('joined').playerId });
+    await settle();
+
+    const sameAddress = connectRouted(other, null, '10.0.1.2');
+    sameAddress.request({ type: 'join', roomId: 'address-kicks', name: 'Guest', mode: 'spectate', protocol: 1 });
+    await settle();
+    assert.equal(sameAddress.last('error').code, 'KICKED');
+    const elsewhere = connectRouted(other, null, '10.0.1.3');
+    elsewhere.request({ type: 'join', roomId: 'address-kicks', name: 'Other', protocol: 1 });
+    await settle();
+    assert.equal(elsewhere.last('joined').roomId, 'address-kicks');
+  } finally {
+    other.stop();
+  }
+});
+
+test('players joining a six-player room are told to draw the six-player board', () => {
+  const host = connect();
+  host.request({ type: 'join', roomId: 'six-board', name: 'Ann', protocol: 1, rules: { board: 'six' } });
+  const guest = connect();
+  guest.request({ type: 'join', roomId: 'six-board', name: 'Bob', protocol: 1 });
+  [host, guest].forEach((ws) => {
+    const { rules, color, players } = ws.last('joined');
+    const layout = Board.layoutFor(rules);
+    assert.equal(layout.id, 'six');
+    assert.notEqual(layout.rows, Board.LAYOUTS.classic.rows);
+    assert.ok(Rules.boardFor(rules).colors.includes(color));
+    players.forEach((p) => {
+      const [row, col] = Board.cellFor(p.color, 0, -1, layout);
+      assert.ok(row < layout.rows && col < layout.cols);
+    });
+  });
+});
+
+test('names lose control and text-direction characters and are cut to length', () => {
+  assert.equal(Rooms.cleanName('  Ann \t\n the   Great '), 'Ann the Great');
+  assert.equal(Rooms.cleanName('A\u0000n\u0007n\u007f'), 'Ann');
+  assert.equal(Rooms.cleanName('\u202eevil\u202c \u200bAnn\ufeff'), 'evil Ann');
+  assert.equal(Rooms.cleanName('An extremely long player name'), 'An extremely long pl');
+  // No trailing space left where the cut falls after one
+  assert.equal(Rooms.cleanName('Twenty characters x yz'), 'Twenty characters x');
+  assert.equal(Rooms.cleanName('\u200b\u200f \u0001'), null);
+  assert.equal(Rooms.cleanName(''), null);
+  assert.equal(Rooms.cleanName(42), null);
+});
+
+test('a connection may send a burst of messages, then only as fast as its bucket refills', () => {
+  const bucket = { tokens: 20, refilledAt: Date.now(), warned: new Set() };
+  for (let i = 0; i < 20; i++) assert.equal(Rooms.takeMessageToken(bucket), true);
+  assert.equal(Rooms.takeMessageToken(bucket), false);
+  // Ten tokens a second
+  test.mock.timers.tick(99);
+  assert.equal(Rooms.takeMessageToken(bucket), false);
+  test.mock.timers.tick(1);
+  assert.equal(Rooms.takeMessageToken(bucket), true);
+  assert.equal(Rooms.takeMessageToken(bucket), false);
+  // ...up to the burst again
+  test.mock.timers.tick(60000);
+  for (let i = 0; i < 20; i++) assert.equal(Rooms.takeMessageToken(bucket), true);
+  assert.equal(Rooms.takeMessageToken(bucket), false);
+});
+
+test('messages over the rate are dropped, with one error for each type dropped', () => {
+  const ws = connectRouted();
+  const send = (data) => ws.emit('message', JSON.stringify(data));
+  const limited = () => ws.received.filter((m) => m.code === 'RATE_LIMITED').map((m) => m.requestType);
+  for (let i = 0; i < 20; i++) send({ type: 'ping' });
+  send({ type: 'sync' });
+  send({ type: 'sync' });
+  send({ type: 'chat', text: 'hi' });
+  ws.emit('message', 'not json');
+  assert.deepEqual(limited(), ['sync', 'chat', null]);
+  test.mock.timers.tick(100);
+  send({ type: 'ping' });
+  send({ type: 'sync' });
+  assert.deepEqual(limited(), ['sync', 'chat', null, 'sync']);
+});
+
+test('a room taken over from its saved form is listed in the lobby again', async () => {
+  const ann = connect();
+  ann.request({ type: 'join', roomId: 'adopt-source', name: 'Ann', protocol: 1, visibility: 'public' });
+  const saved = Object.assign(Rooms.savedRoom(Rooms.rooms.get('adopt-source')), { id: 'adopted' });
+  // Saved by an instance that has since gone away
+  await backend.setField('rooms', 'adopted', JSON.stringify(saved));
+  assert.equal(await backend.getField('lobby', 'adopted'), null);
+
+  const ws = connectRouted();
+  // Even a failed resume brings the room here, though nothing in it changes
+  ws.request({ type: 'resume', roomId: 'adopted', playerId: saved.players[0].id, sessionToken: 'stale', protocol: 1 });
+  await settle();
+  assert.equal(ws.received[0].type, 'resume_failed');
+  assert.ok(Rooms.rooms.has('adopted'));
+  assert.equal(JSON.parse(await backend.getField('lobby', 'adopted')).host, 'Ann');
+  assert.equal(await backend.holder('owner:adopted'), Rooms.INSTANCE_ID);
+});
+
+test('a room another instance has claimed is handed over to it', async () => {
+  const ann = connect();
+  ann.request({ type: 'join', roomId: 'stolen', name: 'Ann', protocol: 1, visibility: 'public' });
+  await settle();
+  assert.ok(fs.existsSync(path.join(dir, 'stolen.json')));
+  // This instance stalled, its claim ran out and another instance took the room over
+  await backend.release('owner:stolen', Rooms.INSTANCE_ID);
+  await backend.claim('owner:stolen', 'elsewhere', 15000);
+  Rooms.renewOwnership();
+  await settle();
+  assert.equal(Rooms.rooms.has('stolen'), false);
+  assert.equal(ann.readyState, 3);
+  assert.equal(ann.last('kicked'), undefined);
+  assert.equal(fs.existsSync(path.join(dir, 'stolen.json')), false);
+  // The new owner's record stays
+  assert.equal(JSON.parse(await backend.getField('rooms', 'stolen')).id, 'stolen');
+  assert.ok(await backend.getField('lobby', 'stolen'));
+  assert.equal(await backend.holder('owner:stolen'), 'elsewhere');
+});
+
+// Another server instance on the same backend: a fresh copy of the module, with rooms of its own
+function secondInstance() {
+  const file = require.resolve('../rooms');
+  const first = require.cache[file];
+  delete require.cache[file];
+  const other = require('../rooms');
+  require.cache[file] = first;
+  return other;
+}
+
+test('clients connected to another instance are relayed to the room\'s owner', async () => {
+  const other = secondInstance();
+  await other.start(backend, accountStore);
+  try {
+    const ann = connectRouted(Rooms);
+    ann.request({ type: 'join', roomId: 'relayed', name: 'Ann', protocol: 1 });
+    await settle();
+    const bob = connectRouted(other, null, '10.1.0.2');
+    bob.request({ type: 'join', roomId: 'relayed', name: 'Bob', protocol: 1 });
+    await settle();
+    const { playerId, sessionToken } = bob.last('joined');
+    assert.equal(bob.last('joined').roomId, 'relayed');
+    assert.deepEqual(Rooms.rooms.get('relayed').players.map((p) => p.name), ['Ann', 'Bob']);
+    assert.equal(Rooms.rooms.get('relayed').players[1].address, '10.1.0.2');
+    assert.equal(other.rooms.has('relayed'), false);
+
+    bob.request({ type: 'ready' });
+    await settle();
+    assert.equal(ann.last('player_list').players[1].ready, true);
+    assert.deepEqual(bob.last('player_list'), ann.last('player_list'));
+
+    // Dropping off the other instance holds the seat, as any lost connection does
+    bob.close();
+    await settle();
+    assert.equal(ann.last('player_list').players[1].connected, false);
+    const back = connectRouted(other);
+    back.request({ type: 'resume', roomId: 'relayed', playerId, sessionToken, protocol: 1 });
+    await settle();
+    assert.equal(back.last('resumed').playerId, playerId);
+    assert.equal(ann.last('player_list').players[1].connected, true);
+
+    // The owner disconnects relayed clients through their instance
+    ann.request({ type: 'kick', playerId });
+    await settle();
+    assert.equal(back.last('kicked').message, 'The host removed you from the room');
+    assert.equal(back.readyState, 3);
+    assert.equal(Rooms.rooms.get('relayed').players.length, 1);
+  } finally {
+    other.stop();
+  }
+});
+
+test('rooms run by another instance are listed, found and closed through it', async () => {
+  const other = secondInstance();
+  await other.start(backend, accountStore);
+  try {
+    const ann = connectRouted(Rooms);
+    ann.request({ type: 'join', roomId: 'elsewhere-run', name: 'Ann', protocol: 1 });
+    await settle();
+    const listed = (await other.listRooms()).find((found) => found.room.id === 'elsewhere-run');
+    assert.equal(listed.owner, Rooms.INSTANCE_ID);
+    assert.deepEqual(listed.room.players.map((p) => p.name), ['Ann']);
+    assert.equal((await other.findRoom('elsewhere-run')).owner, Rooms.INSTANCE_ID);
+    assert.equal(await other.findRoom('nowhere'), null);
+
+    assert.equal(await other.adminCloseRoom('elsewhere-run'), 'forwarded');
+    await settle();
+    assert.equal(ann.last('kicked').message, 'An administrator closed this room');
+    assert.equal(Rooms.rooms.has('elsewhere-run'), false);
+    assert.equal(await other.findRoom('elsewhere-run'), null);
+    assert.equal(await other.adminCloseRoom('elsewhere-run'), null);
+  } finally {
+    other.stop();
+  }
+});
+
+test('a client whose join failed is routed afresh for the next one', async () => {
+  const other = secondInstance();
+  await other.start(backend, accountStore);
+  try {
+    const ann = connectRouted(Rooms);
+    ann.request({ type: 'join', roomId: 'locked-here', name: 'Ann', protocol: 1 });
+    await settle();
+    ann.request({ type: 'lock_room', locked: true });
+    const bob = connectRouted(other);
+    bob.request({ type: 'join', roomId: 'run-elsewhere', name: 'Bob', protocol: 1 });
+    await settle();
+
+    const cid = connectRouted(Rooms);
+    cid.request({ type: 'join', roomId: 'locked-here', name: 'Cid', protocol: 1 });
+    await settle();
+    assert.equal(cid.last('error').code, 'ROOM_LOCKED');
+    cid.request({ type: 'join', roomId: 'run-elsewhere', name: 'Cid', protocol: 1 });
+    await settle();
+    assert.equal(cid.last('joined').roomId, 'run-elsewhere');
+    assert.deepEqual(other.rooms.get('run-elsewhere').players.map((p) => p.name), ['Bob', 'Cid']);
+    assert.equal(Rooms.rooms.has('run-elsewhere'), false);
+
+    // Once in, it stays with that room's owner
+    cid.request({ type: 'join', roomId: 'locked-here', name: 'Cid', protocol: 1 });
+    await settle();
+    assert.equal(cid.last('error').code, 'ALREADY_IN_ROOM');
+  } finally {
+    other.stop();
+  }
+});
+
+test('a room another instance already owns is not run here as well', async () => {
+  const other = secondInstance();
+  await other.start(backend, accountStore);
+  try {
+    const bob = connectRouted(other);
+    bob.request({ type: 'join', roomId: 'owned-elsewhere', name: 'Bob', protocol: 1 });
+    await settle();
+    // A join that reaches this instance without being routed, as a stale relay might
+    const dan = connect();
+    dan.request({ type: 'join', roomId: 'owned-elsewhere', name: 'Dan', protocol: 1 });
+    assert.equal(dan.last('joined').roomId, 'owned-elsewhere');
+    await settle();
+    assert.equal(Rooms.rooms.has('owned-elsewhere'), false);
+    assert.equal(dan.readyState, 3);
+    assert.deepEqual(other.rooms.get('owned-elsewhere').players.map((p) => p.name), ['Bob']);
+  } finally {
+    other.stop();
+  }
+});
@@ -0,0 +1,531 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Rules = require('../shared/rules');
+
+// Build a two-player game (red vs yellow unless colors are given) with the given token positions
+function makeState(positions, overrides = {}, colors = ['red', 'yellow'], rules) {
+  const state = Rules.createGame(colors.map((color, i) => ({ id: `p${i}`, color })), rules);
+  positions.forEach((tokens, i) => {
+    state.players[i].positions = tokens.slice();
+  });
+  return Object.assign(state, overrides);
+}
+
+// A dice source that returns the given values in order
+function scriptedDice(...values) {
+  return () => values.shift();
+}
+
+test('createGame seats every player with all tokens in base', () => {
+  const state = Rules.createGame([{ id: 'a', color: 'red' }, { id: 'b', color: 'blue' }]);
+  assert.equal(state.turnIndex, 0);
+  assert.equal(state.currentRoll, 0);
+  assert.equal(state.consecutiveSixes, 0);
+  assert.deepEqual(state.players.map((p) => p.positions), [[-1, -1, -1, -1], [-1, -1, -1, -1]]);
+  // The state must survive a JSON round trip unchanged
+  assert.deepEqual(JSON.parse(JSON.stringify(state)), state);
+});
+
+test('rollDie maps the random source onto 1..6', () => {
+  assert.equal(Rules.rollDie(() => 0), 1);
+  assert.equal(Rules.rollDie(() => 0.999), 6);
+  assert.equal(Rules.rollDie(() => 0.5), 4);
+});
+
+test('computeGlobalIndex offsets each color and keeps home columns apart', () => {
+  assert.equal(Rules.computeGlobalIndex('red', 0), 0);
+  assert.equal(Rules.computeGlobalIndex('green', 0), 13);
+  assert.equal(Rules.computeGlobalIndex('blue', 20), 7);
+  assert.equal(Rules.computeGlobalIndex('red', -1), -1);
+  assert.notEqual(Rules.computeGlobalIndex('red', 52), Rules.computeGlobalIndex('green', 52));
+  assert.ok(Rules.computeGlobalIndex('yellow', 55) >= 100);
+});
+
+test('tokens leave the base only on a six', () => {
+  const state = makeState([[-1, -1, -1, -1], [-1, -1, -1, -1]]);
+  for (let roll = 1; roll <= 5; roll++) {
+    assert.deepEqual(Rules.legalMoves(state, roll), []);
+  }
+  assert.deepEqual(Rules.legalMoves(state, 6), [0, 1, 2, 3]);
+  const rolled = Rules.applyRoll(state, 6).state;
+  const moved = Rules.applyMove(rolled, 2);
+  assert.equal(moved.from, -1);
+  assert.equal(moved.to, 0);
+  assert.deepEqual(moved.state.players[0].positions, [-1, -1, 0, -1]);
+});
+
+test('a roll with no legal move passes the turn', () => {
+  const state = makeState([[-1, -1, -1, -1], [-1, -1, -1, -1]]);
+  const result = Rules.roll(state, scriptedDice(3));
+  assert.equal(result.roll, 3);
+  assert.deepEqual(result.moves, []);
+  assert.equal(result.passed, true);
+  assert.equal(result.forfeited, false);
+  assert.equal(result.state.turnIndex, 1);
+  assert.equal(result.state.currentRoll, 0);
+});
+
+test('rolling twice without moving is rejected', () => {
+  const state = makeState([[5, -1, -1, -1], [-1, -1, -1, -1]]);
+  const rolled = Rules.applyRoll(state, 2).state;
+  assert.throws(() => Rules.applyRoll(rolled, 4), /already waiting/);
+  assert.throws(() => Rules.applyRoll(state, 7), /Invalid die value/);
+});
+
+test('landing on an opponent captures it and earns another roll', () => {
+  // Yellow position 40 is global (26 + 40) % 52 = 14, four squares ahead of red's token
+  const state = makeState([[10, -1, -1, -1], [40, -1, -1, -1]]);
+  const rolled = Rules.applyRoll(state, 4).state;
+  const result = Rules.applyMove(rolled, 0);
+  assert.equal(result.to, 14);
+  assert.deepEqual(result.captures, [{ playerId: 'p1', tokenIndex: 0 }]);
+  assert.deepEqual(result.state.players[1].positions, [-1, -1, -1, -1]);
+  assert.equal(result.extraTurn, true);
+  assert.equal(result.state.turnIndex, 0);
+  assert.equal(result.state.currentRoll, 0);
+});
+
+test('every opponent token on the target square is captured', () => {
+  const state = makeState([[10, -1, -1, -1], [40, 40, -1, -1]]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 4).state, 0);
+  assert.equal(result.captures.length, 2);
+  assert.deepEqual(result.state.players[1].positions, [-1, -1, -1, -1]);
+});
+
+test('previewMove shows the path and captures of a move without making it', () => {
+  const state = makeState([[10, -1, -1, -1], [40, -1, -1, -1]]);
+  const rolled = Rules.applyRoll(state, 4).state;
+  const preview = Rules.previewMove(rolled, 0);
+  assert.deepEqual(preview, {
+    tokenIndex: 0,
+    from: 10,
+    path: [11, 12, 13, 14],
+    to: 14,
+    captures: [{ playerId: 'p1', tokenIndex: 0 }],
+  });
+  assert.deepEqual(rolled.players[1].positions, [40, -1, -1, -1]);
+  assert.equal(Rules.previewMove(rolled, 1), null);
+});
+
+test('safe squares protect tokens from capture', () => {
+  // Global 8 is safe; yellow reaches it at position 34
+  const state = makeState([[5, -1, -1, -1], [34, -1, -1, -1]]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 3).state, 0);
+  assert.equal(Rules.computeGlobalIndex('red', result.to), 8);
+  assert.deepEqual(result.captures, []);
+  assert.deepEqual(result.state.players[1].positions, [34, -1, -1, -1]);
+  assert.equal(result.extraTurn, false);
+  assert.equal(result.state.turnIndex, 1);
+});
+
+test('start squares are safe for opponents sitting on them', () => {
+  // Green starts on global 13; red reaches it at position 13
+  const state = makeState([[10, -1, -1, -1], [0, -1, -1, -1]], {}, ['red', 'green']);
+  const result = Rules.applyMove(Rules.applyRoll(state, 3).state, 0);
+  assert.deepEqual(result.captures, []);
+  assert.deepEqual(result.state.players[1].positions, [0, -1, -1, -1]);
+});
+
+test('own tokens are never captured', () => {
+  const state = makeState([[10, 14, -1, -1], [-1, -1, -1, -1]]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 4).state, 0);
+  assert.deepEqual(result.captures, []);
+  assert.deepEqual(result.state.players[0].positions, [14, 14, -1, -1]);
+});
+
+test('tokens in the home column cannot be captured', () => {
+  // Red position 53 is in red's home column even though 53 % 52 would be global 1,
+  // which is where yellow lands from position 21
+  const state = makeState([[53, -1, -1, -1], [21, -1, -1, -1]], { turnIndex: 1 });
+  const result = Rules.applyMove(Rules.applyRoll(state, 6).state, 0);
+  assert.equal(Rules.computeGlobalIndex('yellow', result.to), 1);
+  assert.deepEqual(result.captures, []);
+  assert.deepEqual(result.state.players[0].positions, [53, -1, -1, -1]);
+});
+
+test('tokens enter the home column after the last track square', () => {
+  const state = makeState([[49, -1, -1, -1], [-1, -1, -1, -1]]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 5).state, 0);
+  assert.equal(result.to, 54);
+  assert.ok(Rules.computeGlobalIndex('red', result.to) >= 100);
+});
+
+test('overshooting the finish is not a legal move', () => {
+  const state = makeState([[55, 30, -1, -1], [-1, -1, -1, -1]]);
+  assert.deepEqual(Rules.legalMoves(state, 2), [0, 1]);
+  assert.deepEqual(Rules.legalMoves(state, 3), [1]);
+  assert.throws(() => Rules.applyMove(Rules.applyRoll(state, 3).state, 0), /Illegal move/);
+});
+
+test('reaching the finish earns another roll', () => {
+  const state = makeState([[54, 30, -1, -1], [-1, -1, -1, -1]]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 3).state, 0);
+  assert.equal(result.to, Rules.FINISH);
+  assert.equal(result.finished, true);
+  assert.equal(result.playerFinished, false);
+  assert.equal(result.extraTurn, true);
+  assert.equal(result.state.turnIndex, 0);
+});
+
+test('a six earns another roll but other values pass the turn', () => {
+  const state = makeState([[10, -1, -1, -1], [-1, -1, -1, -1]]);
+  const six = Rules.applyMove(Rules.applyRoll(state, 6).state, 0);
+  assert.equal(six.extraTurn, true);
+  assert.equal(six.state.turnIndex, 0);
+  assert.equal(six.state.consecutiveSixes, 1);
+  const two = Rules.applyMove(Rules.applyRoll(six.state, 2).state, 0);
+  assert.equal(two.extraTurn, false);
+  assert.equal(two.state.turnIndex, 1);
+  assert.equal(two.state.consecutiveSixes, 0);
+});
+
+test('a third six in a row forfeits the roll and passes the turn', () => {
+  let state = makeState([[10, -1, -1, -1], [-1, -1, -1, -1]]);
+  const dice = scriptedDice(6, 6, 6);
+  for (let i = 0; i < 2; i++) {
+    const rolled = Rules.roll(state, dice);
+    assert.equal(rolled.forfeited, false);
+    state = Rules.applyMove(rolled.state, 0).state;
+  }
+  assert.equal(state.consecutiveSixes, 2);
+  const third = Rules.roll(state, dice);
+  assert.equal(third.forfeited, true);
+  assert.equal(third.passed, true);
+  assert.ok(third.moves.length > 0);
+  assert.equal(third.state.turnIndex, 1);
+  assert.equal(third.state.consecutiveSixes, 0);
+  assert.deepEqual(third.state.players[0].positions, [22, -1, -1, -1]);
+});
+
+test('moves are only possible with a pending roll', () => {
+  const state = makeState([[10, -1, -1, -1], [-1, -1, -1, -1]]);
+  assert.deepEqual(Rules.legalMoves(state), []);
+  assert.throws(() => Rules.applyMove(state, 0), /Illegal move/);
+});
+
+test('applyRoll and applyMove leave the input state untouched', () => {
+  const state = makeState([[10, -1, -1, -1], [40, -1, -1, -1]]);
+  const snapshot = JSON.parse(JSON.stringify(state));
+  const rolled = Rules.applyRoll(state, 4).state;
+  const rolledSnapshot = JSON.parse(JSON.stringify(rolled));
+  Rules.applyMove(rolled, 0);
+  assert.deepEqual(state, snapshot);
+  assert.deepEqual(rolled, rolledSnapshot);
+});
+
+test('nextTurn skips players who have brought every token home', () => {
+  const state = makeState(
+    [[10, -1, -1, -1], [57, 57, 57, 57], [-1, -1, -1, -1]],
+    {},
+    ['red', 'green', 'yellow']
+  );
+  assert.equal(Rules.nextTurn(state).turnIndex, 2);
+  assert.equal(Rules.nextTurn(Object.assign({}, state, { turnIndex: 2 })).turnIndex, 0);
+});
+
+test('bringing the last token home passes the turn instead of granting another roll', () => {
+  const state = makeState(
+    [[57, 57, 57, 55], [10, -1, -1, -1], [12, -1, -1, -1]],
+    {},
+    ['red', 'green', 'yellow']
+  );
+  const result = Rules.applyMove(Rules.applyRoll(state, 2).state, 3);
+  assert.equal(result.finished, true);
+  assert.equal(result.playerFinished, true);
+  assert.equal(result.extraTurn, false);
+  assert.equal(result.state.turnIndex, 1);
+});
+
+test('isGameOver once at most one player has tokens left', () => {
+  const three = ['red', 'green', 'yellow'];
+  assert.equal(Rules.isGameOver(makeState([[57, 57, 57, 57], [-1, -1, -1, -1], [3, -1, -1, -1]], {}, three)), false);
+  assert.equal(Rules.isGameOver(makeState([[57, 57, 57, 57], [57, 57, 57, 57], [3, -1, -1, -1]], {}, three)), true);
+  assert.equal(Rules.isGameOver(makeState([[57, 57, 57, 57], [-1, -1, -1, -1]])), true);
+  assert.equal(Rules.isGameOver(makeState([[57, 57, 57, 56], [-1, -1, -1, -1]])), false);
+});
+
+test('finishing order is recorded as players bring their last token home', () => {
+  const three = ['red', 'green', 'yellow'];
+  let state = makeState([[57, 57, 57, 55], [-1, -1, -1, -1], [57, 57, 57, 56]], {}, three);
+  state = Rules.applyMove(Rules.applyRoll(state, 2).state, 3).state;
+  assert.deepEqual(state.finishOrder, ['p0']);
+  state = Object.assign(state, { turnIndex: 2 });
+  state = Rules.applyMove(Rules.applyRoll(state, 1).state, 3).state;
+  assert.deepEqual(state.finishOrder, ['p0', 'p2']);
+  assert.ok(Rules.isGameOver(state));
+});
+
+test('rankings list finishers in order, then the rest by progress', () => {
+  const three = ['red', 'green', 'yellow'];
+  const state = makeState(
+    [[10, -1, -1, -1], [57, 57, 57, 57], [30, 5, -1, -1]],
+    { finishOrder: ['p1'] },
+    three
+  );
+  assert.deepEqual(Rules.rankings(state), [
+    { place: 1, playerId: 'p1', finished: true },
+    { place: 2, playerId: 'p2', finished: false },
+    { place: 3, playerId: 'p0', finished: false },
+  ]);
+});
+
+test('players count their turns, sixes and lost tokens', () => {
+  // Yellow's token at position 40 sits on global 14
+  let state = makeState([[2, -1, -1, -1], [40, -1, -1, -1]]);
+  // A six and the roll it earns are one turn
+  state = Rules.applyMove(Rules.applyRoll(state, 6).state, 0).state;
+  state = Rules.applyMove(Rules.applyRoll(state, 2).state, 0).state;
+  assert.equal(state.players[0].turnsTaken, 1);
+  assert.equal(state.players[0].sixesRolled, 1);
+  state = Rules.applyMove(Rules.applyRoll(state, 1).state, 0).state;
+  assert.equal(state.players[1].turnsTaken, 1);
+  // Red at 10 lands on yellow at global 15
+  state = Rules.applyMove(Rules.applyRoll(state, 5).state, 0).state;
+  assert.equal(state.players[0].turnsTaken, 2);
+  assert.equal(state.players[0].captures, 1);
+  assert.equal(state.players[1].tokensLost, 1);
+});
+
+test('a player who leaves loses their finishing place', () => {
+  const three = ['red', 'green', 'yellow'];
+  const state = makeState([[57, 57, 57, 57], [-1, -1, -1, -1], [3, -1, -1, -1]], { finishOrder: ['p0'], turnIndex: 1 }, three);
+  const removed = Rules.removePlayer(state, 'p0');
+  assert.deepEqual(removed.finishOrder, []);
+});
+
+test('removePlayer hands the turn to the next seat', () => {
+  const colors = ['red', 'green', 'yellow'];
+  const empty = [-1, -1, -1, -1];
+  const onTurn = makeState([empty, empty, empty], { turnIndex: 1, currentRoll: 4 }, colors);
+  const removed = Rules.removePlayer(onTurn, 'p1');
+  assert.deepEqual(removed.players.map((p) => p.id), ['p0', 'p2']);
+  assert.equal(Rules.currentPlayer(removed).id, 'p2');
+  assert.equal(removed.currentRoll, 0);
+
+  const lastSeat = makeState([empty, empty, empty], { turnIndex: 2 }, colors);
+  assert.equal(Rules.currentPlayer(Rules.removePlayer(lastSeat, 'p2')).id, 'p0');
+
+  const before = makeState([empty, empty, empty], { turnIndex: 2, currentRoll: 3 }, colors);
+  const shifted = Rules.removePlayer(before, 'p0');
+  assert.equal(Rules.currentPlayer(shifted).id, 'p2');
+  assert.equal(shifted.currentRoll, 3);
+});
+
+test('a scripted game replays to the same state every time', () => {
+  function play() {
+    let state = Rules.createGame([{ id: 'a', color: 'red' }, { id: 'b', color: 'green' }]);
+    const dice = scriptedDice(6, 3, 6, 5, 2, 4, 1, 6, 6, 6, 5);
+    for (let i = 0; i < 11; i++) {
+      const rolled = Rules.roll(state, dice);
+      state = rolled.passed ? rolled.state : Rules.applyMove(rolled.state, rolled.moves[0]).state;
+    }
+    return state;
+  }
+  assert.deepEqual(play(), play());
+});
+
+test('normalizeRules fills in defaults and ignores invalid values', () => {
+  assert.deepEqual(Rules.normalizeRules(), Rules.DEFAULT_RULES);
+  const rules = Rules.normalizeRules({
+    tokensPerPlayer: 7,
+    releaseValues: [6, 1, 9, 1, 'x'],
+    blockades: 'yes',
+    bounceBack: true,
+  });
+  assert.equal(rules.tokensPerPlayer, 4);
+  assert.deepEqual(rules.releaseValues, [1, 6]);
+  assert.equal(rules.blockades, false);
+  assert.equal(rules.bounceBack, true);
+  assert.equal(Rules.normalizeRules({ tokensPerPlayer: 2 }).tokensPerPlayer, 2);
+});
+
+test('tokensPerPlayer sets how many tokens each player brings', () => {
+  const state = Rules.createGame([{ id: 'a', color: 'red' }, { id: 'b', color: 'green' }], { tokensPerPlayer: 2 });
+  assert.deepEqual(state.players[0].positions, [-1, -1]);
+  state.players[0].positions = [57, 57];
+  assert.equal(Rules.isPlayerFinished(state.players[0]), true);
+  assert.equal(Rules.isGameOver(state), true);
+});
+
+test('releaseValues lets other die values bring tokens out of the base', () => {
+  const state = makeState([[-1, -1, -1, -1], [-1, -1, -1, -1]], {}, undefined, { releaseValues: [1, 6] });
+  assert.deepEqual(Rules.legalMoves(state, 1), [0, 1, 2, 3]);
+  assert.deepEqual(Rules.legalMoves(state, 3), []);
+  const result = Rules.applyMove(Rules.applyRoll(state, 1).state, 0);
+  assert.equal(result.to, 0);
+  assert.equal(result.extraTurn, false);
+});
+
+test('blockades stop opponents from passing or landing', () => {
+  // Yellow stacks two tokens on global 14 (position 40)
+  const rules = { blockades: true };
+  const state = makeState([[10, 20, -1, -1], [40, 40, -1, -1]], {}, undefined, rules);
+  // Red's token at 10 cannot land on (4) or pass (6) the blockade; the token at 20 is past it
+  // and a six still brings the others out of the base
+  assert.deepEqual(Rules.legalMoves(state, 4), [1]);
+  assert.deepEqual(Rules.legalMoves(state, 6), [1, 2, 3]);
+  assert.deepEqual(Rules.legalMoves(state, 3), [0, 1]);
+  // A single token is no blockade
+  const single = makeState([[10, -1, -1, -1], [40, 41, -1, -1]], {}, undefined, rules);
+  assert.deepEqual(Rules.legalMoves(single, 6), [0, 1, 2, 3]);
+  // Without the house rule the stack can be captured
+  const off = makeState([[10, -1, -1, -1], [40, 40, -1, -1]]);
+  assert.equal(Rules.applyMove(Rules.applyRoll(off, 4).state, 0).captures.length, 2);
+});
+
+test('a blockade on the start square keeps tokens in the base', () => {
+  // Green position 39 is global 0, red's start square
+  const state = makeState([[-1, -1, -1, -1], [39, 39, -1, -1]], {}, ['red', 'green'], { blockades: true });
+  assert.deepEqual(Rules.legalMoves(state, 6), []);
+});
+
+test('captureBeforeHome sends tokens round again until the player has captured', () => {
+  const rules = { captureBeforeHome: true };
+  const state = makeState([[49, -1, -1, -1], [-1, -1, -1, -1]], {}, undefined, rules);
+  const lapped = Rules.applyMove(Rules.applyRoll(state, 5).state, 0);
+  assert.deepEqual(lapped.path, [50, 51, 0, 1, 2]);
+  assert.equal(lapped.to, 2);
+
+  const captured = makeState([[49, -1, -1, -1], [-1, -1, -1, -1]], {}, undefined, rules);
+  captured.players[0].captures = 1;
+  assert.equal(Rules.applyMove(Rules.applyRoll(captured, 5).state, 0).to, 54);
+});
+
+test('captures are counted per player', () => {
+  const state = makeState([[10, -1, -1, -1], [40, -1, -1, -1]]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 4).state, 0);
+  assert.equal(result.state.players[0].captures, 1);
+  assert.equal(result.state.players[1].captures, 0);
+});
+
+test('bounceBack turns an overshoot into a move back from the finish', () => {
+  const state = makeState([[55, -1, -1, -1], [-1, -1, -1, -1]], {}, undefined, { bounceBack: true });
+  assert.deepEqual(Rules.legalMoves(state, 5), [0]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 5).state, 0);
+  assert.deepEqual(result.path, [56, 57, 56, 55, 54]);
+  assert.equal(result.to, 54);
+  assert.equal(result.finished, false);
+  // Finished tokens never move again
+  const done = makeState([[57, -1, -1, -1], [-1, -1, -1, -1]], {}, undefined, { bounceBack: true });
+  assert.deepEqual(Rules.legalMoves(done, 3), []);
+});
+
+test('extraTurnOnCapture can be switched off', () => {
+  const state = makeState([[10, -1, -1, -1], [40, -1, -1, -1]], {}, undefined, { extraTurnOnCapture: false });
+  const result = Rules.applyMove(Rules.applyRoll(state, 4).state, 0);
+  assert.equal(result.captures.length, 1);
+  assert.equal(result.extraTurn, false);
+  assert.equal(result.state.turnIndex, 1);
+});
+
+test('threeSixesForfeit can be switched off', () => {
+  const state = makeState([[10, -1, -1, -1], [-1, -1, -1, -1]], { consecutiveSixes: 2 }, undefined, { threeSixesForfeit: false });
+  const result = Rules.applyRoll(state, 6);
+  assert.equal(result.forfeited, false);
+  assert.equal(result.passed, false);
+  assert.equal(result.state.consecutiveSixes, 3);
+});
+
+// Four-player team game: red (p0) and yellow (p2) against green (p1) and blue (p3)
+const SEATS = ['red', 'green', 'yellow', 'blue'];
+function teamState(positions, overrides = {}, rules = {}) {
+  return makeState(positions, overrides, SEATS, Object.assign({ teams: true }, rules));
+}
+const HOME = [57, 57, 57, 57];
+const OUT = [-1, -1, -1, -1];
+
+test('team games seat diagonal partners on the same team, turns alternating', () => {
+  const state = Rules.createGame(
+    [{ id: 'y', color: 'yellow' }, { id: 'r', color: 'red' }, { id: 'b', color: 'blue' }, { id: 'g', color: 'green' }],
+    { teams: true }
+  );
+  assert.deepEqual(state.players.map((p) => p.id), ['r', 'g', 'y', 'b']);
+  assert.deepEqual(state.players.map((p) => p.team), [0, 1, 0, 1]);
+  assert.equal(Rules.partnerColor('green'), 'blue');
+  assert.equal(Rules.partnerOf(state, state.players[0]).id, 'y');
+});
+
+test('partners cannot capture each other or block each other', () => {
+  // Yellow at 31 and green at 44 both sit on global 5
+  let state = teamState([[2, -1, -1, -1], [44, -1, -1, -1], [31, -1, -1, -1], OUT]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 3).state, 0);
+  assert.deepEqual(result.captures, [{ playerId: 'p1', tokenIndex: 0 }]);
+  assert.equal(result.state.players[2].positions[0], 31);
+  // A pair of yellow tokens on global 5 blocks opponents but not red
+  state = teamState([[2, -1, -1, -1], OUT, [31, 31, -1, -1], OUT], {}, { blockades: true });
+  assert.deepEqual(Rules.legalMoves(state, 4), [0]);
+  state = makeState([[2, -1, -1, -1], [31, 31, -1, -1]], {}, ['red', 'yellow'], { blockades: true });
+  assert.deepEqual(Rules.legalMoves(state, 4), []);
+});
+
+test('a team wins only once both partners are home', () => {
+  let state = teamState([HOME, HOME, [56, 57, 57, 57], OUT], { finishOrder: ['p0', 'p1'] });
+  assert.equal(Rules.isGameOver(state), false);
+  assert.equal(Rules.winningTeam(state), null);
+  state = teamState([HOME, HOME, HOME, OUT], { finishOrder: ['p1', 'p0', 'p2'] });
+  assert.equal(Rules.isGameOver(state), true);
+  assert.equal(Rules.winningTeam(state), 0);
+  // The winners are ranked first even though green finished before them
+  assert.deepEqual(Rules.rankings(state).map((r) => [r.place, r.playerId, r.team]), [
+    [1, 'p0', 0],
+    [2, 'p2', 0],
+    [3, 'p1', 1],
+    [4, 'p3', 1],
+  ]);
+  // A team left alone at the table wins
+  const alone = Rules.removePlayer(Rules.removePlayer(teamState([OUT, OUT, OUT, OUT]), 'p1'), 'p3');
+  assert.equal(Rules.winningTeam(alone), 0);
+});
+
+test('finished players roll for their partner only when the room allows it', () => {
+  const positions = [HOME, OUT, [10, -1, -1, -1], OUT];
+  const skipped = Rules.nextTurn(teamState(positions, { turnIndex: 3, finishOrder: ['p0'] }));
+  assert.equal(skipped.turnIndex, 1);
+  const state = Rules.nextTurn(teamState(positions, { turnIndex: 3, finishOrder: ['p0'] }, { partnerMoves: true }));
+  assert.equal(state.turnIndex, 0);
+  assert.equal(Rules.movingPlayer(state).id, 'p2');
+  assert.deepEqual(Rules.legalMoves(state, 3), [0]);
+  const result = Rules.applyMove(Rules.applyRoll(state, 3).state, 0);
+  assert.equal(result.playerId, 'p2');
+  assert.equal(result.movedBy, 'p0');
+  assert.equal(result.state.players[2].positions[0], 13);
+  // The roll counts towards the roller's turns
+  assert.equal(result.state.players[0].turnsTaken, 1);
+});
+
+test('the six-player board has a longer track and two more start and safe squares', () => {
+  const board = Rules.BOARDS.six;
+  assert.deepEqual(board.colors, ['red', 'green', 'yellow', 'blue', 'purple', 'orange']);
+  assert.equal(board.trackLength, 78);
+  assert.equal(board.finish, 83);
+  assert.equal(board.colorStart.orange, 65);
+  assert.ok(Rules.isSafeSquare(60, board));
+  assert.ok(!Rules.isSafeSquare(60));
+  // The classic board is untouched
+  assert.equal(Rules.boardFor(Rules.normalizeRules()).trackLength, 52);
+});
+
+test('moves and captures on the six-player board use its track', () => {
+  const rules = { board: 'six' };
+  // Purple position 10 is global 62, four squares ahead of red's token at 58
+  let state = makeState([[58, -1, -1, -1], [10, -1, -1, -1]], {}, ['red', 'purple'], rules);
+  let result = Rules.applyMove(Rules.applyRoll(state, 4).state, 0);
+  assert.deepEqual(result.captures, [{ playerId: 'p1', tokenIndex: 0 }]);
+  // Orange wraps past the end of the track onto red's first squares
+  state = makeState([[2, -1, -1, -1], [12, -1, -1, -1]], { turnIndex: 1 }, ['red', 'orange'], rules);
+  result = Rules.applyMove(Rules.applyRoll(state, 3).state, 0);
+  assert.equal(Rules.computeGlobalIndex('orange', result.to, Rules.BOARDS.six), 2);
+  assert.deepEqual(result.captures, [{ playerId: 'p0', tokenIndex: 0 }]);
+  // Red only turns into its home column after going all the way round
+  state = makeState([[75, 80, -1, -1], [-1, -1, -1, -1]], {}, ['red', 'purple'], rules);
+  assert.deepEqual(Rules.legalMoves(state, 4), [0]);
+  assert.equal(Rules.applyMove(Rules.applyRoll(state, 4).state, 0).to, 79);
+});
+
+test('team play is a classic-board rule', () => {
+  const rules = Rules.normalizeRules({ board: 'six', teams: true, partnerMoves: true });
+  assert.equal(rules.board, 'six');
+  assert.equal(rules.teams, false);
+  assert.equal(rules.partnerMoves, false);
+  assert.equal(Rules.normalizeRules({ board: 'hex' }).board, 'classic');
+});